@@ -45,7 +45,8 @@ document.addEventListener('DOMContentLoaded', () => {
             // Create new list item element
             const li = document.createElement('li');
             li.className = 'item';
-            li.innerHTML = `${newItemText} <button class="delete-btn">X</button>`;
+            // The text comes from the user, so build the markup with `html` (see safe-html.js)
+            li.innerHTML = html`${newItemText} <button class="delete-btn">X</button>`;
             
             // Add it to the list
             itemList.appendChild(li);
@@ -104,7 +105,8 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('Form Data:', data);
 
         // Display the submitted data
-        formOutput.innerHTML = `
+        // Form values are user input too, so they are escaped the same way
+        formOutput.innerHTML = html`
             <h3>Form Submitted!</h3>
             <p><strong>Username:</strong> ${data.username}</p>
             <p><strong>Email:</strong> ${data.email}</p>
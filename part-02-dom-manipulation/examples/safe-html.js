@@ -0,0 +1,51 @@
+/**
+ * safe-html.js
+ * A small helper for putting user input into innerHTML safely.
+ * Load it before examples.js (modules are covered in Part 3, so this file
+ * simply defines global functions).
+ *
+ *   html`<p>${userInput}</p>`   interpolated values are escaped
+ *   raw('<br>')                 explicitly marks trusted markup
+ *
+ * Without escaping, typing `<img src=x onerror=alert(1)>` into a form would run
+ * that script as soon as it is displayed.
+ */
+
+// Wraps markup that is known to be safe, so `html` doesn't escape it twice
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/`/g, '&#96;');
+}
+
+// Only for markup written in the code itself, never for user data
+function raw(markup) {
+    return new SafeHTML(String(markup));
+}
+
+// Tagged template: every `${value}` is escaped unless it is SafeHTML.
+// Arrays are joined and null/undefined/false render nothing.
+function html(strings, ...values) {
+    const toMarkup = (value) => {
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(toMarkup).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHTML(value);
+    };
+
+    return new SafeHTML(strings.reduce((markup, string, i) => markup + toMarkup(values[i - 1]) + string));
+}
@@ -0,0 +1,181 @@
+/**
+ * theme.js
+ * Light and dark themes, with a Light / Dark / System toggle.
+ *
+ * The theme is set as `data-theme="light|dark"` on <html>; the stylesheet
+ * defines its colors as CSS custom properties and overrides them for
+ * `:root[data-theme="dark"]`. "System" follows the operating system's
+ * setting (prefers-color-scheme), including when it changes while the page is open.
+ *
+ * Load this file with a plain, blocking <script> in the <head>, before the
+ * stylesheet is used. The theme is then set before the page is first drawn,
+ * so there is no flash of the wrong theme. That is also why it is not an ES
+ * module: modules are deferred. It defines a global `themeManager` instead.
+ *
+ *   <script src="theme.js" data-storage-key="my-app:theme"></script>
+ *   <div data-theme-toggle></div>      becomes the Light / Dark / System buttons
+ *
+ * The examples page here and the Recipe Finder project in Part 3 both load
+ * this same file, each with its own storage key.
+ */
+
+class ThemeManager {
+    static LABELS = { light: 'Light', dark: 'Dark', system: 'System' };
+    static MODES = Object.keys(ThemeManager.LABELS);
+
+    /**
+     * @param {*} mode - e.g. a value read from localStorage.
+     * @returns {boolean} Whether it is one of the modes. Only own keys count,
+     *   so inherited names such as "toString" are not mistaken for one.
+     */
+    static isMode(mode) {
+        return typeof mode === 'string' && Object.hasOwn(ThemeManager.LABELS, mode);
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKey='theme'] - Where the choice is kept in localStorage.
+     * @param {HTMLElement} [options.root=document.documentElement] - The element that gets `data-theme`.
+     */
+    constructor({ storageKey = 'theme', root = document.documentElement } = {}) {
+        this.storageKey = storageKey;
+        this.root = root;
+        this.listeners = [];
+        this.toggles = [];
+        this.mode = this.load();
+        // Older browsers (and some test environments) have no matchMedia
+        this.systemQuery = window.matchMedia?.('(prefers-color-scheme: dark)') || null;
+
+        // Follow the operating system while in "system" mode
+        this.systemQuery?.addEventListener?.('change', () => {
+            if (this.mode === 'system') this.apply();
+        });
+
+        // Keep several open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.mode = this.load();
+                this.apply();
+            }
+        });
+
+        this.apply();
+    }
+
+    /**
+     * Reads the saved mode. Nothing saved (or anything unknown) means "system".
+     * @returns {'light'|'dark'|'system'}
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (ThemeManager.isMode(saved)) {
+                return saved;
+            }
+        } catch (error) {
+            console.error("Could not load the theme:", error);
+        }
+        return 'system';
+    }
+
+    /**
+     * @returns {'light'|'dark'} The theme actually shown, with "system" resolved.
+     */
+    get theme() {
+        if (this.mode !== 'system') return this.mode;
+        return this.systemQuery?.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Switches to a mode and remembers it.
+     * @param {'light'|'dark'|'system'} mode - The new mode.
+     */
+    setMode(mode) {
+        if (!ThemeManager.isMode(mode)) {
+            throw new Error(`Unknown theme mode: ${mode}`);
+        }
+        this.mode = mode;
+        try {
+            // "system" is the default, so it doesn't need to be stored
+            if (mode === 'system') {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, mode);
+            }
+        } catch (error) {
+            console.error("Could not save the theme:", error);
+        }
+        this.apply();
+    }
+
+    /**
+     * Sets the theme on the page and updates every toggle.
+     */
+    apply() {
+        const theme = this.theme;
+        this.root.dataset.theme = theme;
+        this.root.dataset.themeMode = this.mode;
+        this.toggles.forEach(toggle => this.updateToggle(toggle));
+        this.listeners.forEach(listener => listener(theme, this.mode));
+    }
+
+    /**
+     * Turns an element into a Light / Dark / System toggle.
+     * @param {HTMLElement} container - An empty element, e.g. `<div data-theme-toggle>`.
+     */
+    mountToggle(container) {
+        if (this.toggles.includes(container)) return;
+
+        container.classList.add('theme-toggle');
+        container.setAttribute('role', 'group');
+        container.setAttribute('aria-label', 'Color theme');
+        // Every label is a constant, so building the markup as a string is safe
+        container.innerHTML = ThemeManager.MODES
+            .map(mode => `<button type="button" data-theme-mode="${mode}">${ThemeManager.LABELS[mode]}</button>`)
+            .join('');
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-theme-mode]');
+            if (button) this.setMode(button.dataset.themeMode);
+        });
+
+        this.toggles.push(container);
+        this.updateToggle(container);
+    }
+
+    /**
+     * Marks the button of the current mode as pressed.
+     * @param {HTMLElement} container - A mounted toggle.
+     */
+    updateToggle(container) {
+        container.querySelectorAll('[data-theme-mode]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.themeMode === this.mode));
+        });
+    }
+
+    /**
+     * Registers a callback that runs whenever the theme changes.
+     * @param {Function} listener - Called with the theme and the mode.
+     * @returns {Function} A function that removes the listener.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+}
+
+// Apply the theme right away, while the <head> is still being read
+const themeManager = new ThemeManager({
+    storageKey: document.currentScript?.dataset.storageKey
+});
+
+// Then turn every `data-theme-toggle` element into a toggle once the page exists
+function mountThemeToggles() {
+    document.querySelectorAll('[data-theme-toggle]').forEach(el => themeManager.mountToggle(el));
+}
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountThemeToggles);
+} else {
+    mountThemeToggles();
+}
@@ -127,6 +127,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Exercise 8: Working with Local Storage
     // Assuming HTML: <button id="set-theme-btn">Set Theme</button><button id="clear-theme-btn">Clear Theme</button>
+    // For a complete theme switcher (CSS custom properties, a "system" mode, no prompt()),
+    // see `examples/theme.js`. It reads the same 'userTheme' key.
     const setThemeBtn = document.querySelector('#set-theme-btn');
     const clearThemeBtn = document.querySelector('#clear-theme-btn');
 
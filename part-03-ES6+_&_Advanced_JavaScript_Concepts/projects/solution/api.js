@@ -1,58 +1,234 @@
 /**
  * api.js
- * This module is responsible for all communication with TheMealDB API.
- * It encapsulates the fetch logic and provides simple methods to get recipe data.
+ * This module is the app's single entry point for recipe data.
+ * The actual data comes from a provider (see providers.js), so the same methods
+ * can be backed by TheMealDB, a local JSON fixture file, or an in-memory store.
+ * Responses are cached (see cache.js), so opening the same recipe twice or
+ * repeating a search does not hit the provider again. The providers send their
+ * requests through the HttpClient (see http.js), which adds timeouts and
+ * retries. Failures are reported with the typed errors from errors.js, so
+ * callers can react to each kind.
  */
 
-class APIManager {
-    constructor() {
-        this.baseUrl = 'https://www.themealdb.com/api/json/v1/1/';
+import { MealDBProvider } from './providers.js';
+import { ResponseCache } from './cache.js';
+import { Recipe } from './recipe.js';
+import { AbortError, NotFoundError, toRecipeError } from './errors.js';
+
+/**
+ * Turns cached values read back from storage into Recipe instances again.
+ * Search results are arrays of recipes, lookups are a single recipe or null,
+ * and filter option lists are arrays of plain strings.
+ */
+const reviveRecipes = value => Array.isArray(value)
+    ? value.map(item => typeof item === 'string' ? item : Recipe.from(item))
+    : value && Recipe.from(value);
+
+/**
+ * The filters that can be combined with a text search.
+ */
+export const FILTER_KINDS = ['category', 'area', 'ingredient'];
+
+/**
+ * Checks whether an error came from an aborted request.
+ * The APIManager rejects with an AbortError (see errors.js); `fetch`,
+ * `AbortSignal.throwIfAborted` and `debounceAsync` reject with a DOMException
+ * of the same name.
+ * @param {Error} error - The error to check.
+ * @returns {boolean}
+ */
+export const isAbortError = error => error instanceof AbortError || error?.name === 'AbortError';
+
+export class APIManager {
+    /**
+     * @param {Object} provider - A data source implementing the provider interface (see providers.js).
+     * @param {Object} [options]
+     * @param {Object|false} [options.cache] - ResponseCache options (ttl, maxEntries, storage), or `false` to disable caching.
+     */
+    constructor(provider = new MealDBProvider(), { cache = {} } = {}) {
+        this.provider = provider;
+        this.cache = cache === false ? null : new ResponseCache({ revive: reviveRecipes, ...cache });
+    }
+
+    /**
+     * Swaps the data source used by this manager.
+     * Cached responses belong to the old source, so the cache is cleared.
+     * @param {Object} provider - The new provider.
+     */
+    setProvider(provider) {
+        this.provider = provider;
+        this.clearCache();
+    }
+
+    /**
+     * Removes all cached responses.
+     */
+    clearCache() {
+        if (this.cache) {
+            this.cache.clear();
+        }
+    }
+
+    /**
+     * Runs a loader through the cache, or directly when caching is disabled.
+     * The signal is handed to the loader rather than captured by it, so a
+     * background refresh isn't cancelled along with the request that started it.
+     * @param {string} key - The cache key.
+     * @param {Function} loader - An async function that fetches the value; called with `{ signal }`.
+     * @param {AbortSignal} [signal] - Cancels the caller's request.
+     */
+    cached(key, loader, signal) {
+        return this.cache ? this.cache.get(key, loader, { signal }) : loader({ signal });
+    }
+
+    /**
+     * Converts an error into a typed RecipeError (see errors.js) and logs it.
+     * Aborted requests are expected, so they are not logged.
+     * @param {Error} error - The error that was thrown.
+     * @param {string} message - Describes what failed.
+     * @returns {RecipeError} The error to re-throw.
+     */
+    failure(error, message) {
+        const failure = toRecipeError(error);
+        if (!(failure instanceof AbortError)) {
+            console.error(message, failure);
+        }
+        return failure;
     }
 
     /**
      * Searches for recipes based on a search term.
      * @param {string} term - The search term (e.g., "chicken").
-     * @returns {Promise<Array>} A promise that resolves to an array of meal objects.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+     * @returns {Promise<Array<Recipe>>} A promise that resolves to an array of recipes.
+     * @throws {RecipeError} A NetworkError, TimeoutError, HttpError, ParseError or AbortError (see errors.js).
      */
-    async searchRecipes(term) {
-        const url = `${this.baseUrl}search.php?s=${term}`;
+    async searchRecipes(term, { signal } = {}) {
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            // The API returns { meals: [...] } or { meals: null } if no results
-            return data.meals || [];
+            return await this.cached(`search:${term.toLowerCase()}`, async (options) => {
+                const recipes = await this.provider.search(term, options);
+                // Search results already contain the full details, so prime the
+                // lookup cache and make the next card click instant.
+                if (this.cache) {
+                    recipes.forEach(recipe => this.cache.set(`recipe:${recipe.id}`, recipe));
+                }
+                return recipes;
+            }, signal);
         } catch (error) {
-            console.error("Error searching for recipes:", error);
             // Re-throw the error to be handled by the caller
-            throw error;
+            throw this.failure(error, "Error searching for recipes:");
         }
     }
 
     /**
      * Fetches the full details for a single recipe by its ID.
      * @param {string} id - The ID of the meal.
-     * @returns {Promise<Object>} A promise that resolves to a single meal object.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+     * @returns {Promise<Recipe>} A promise that resolves to the recipe.
+     * @throws {NotFoundError} If there is no recipe with that ID.
      */
-    async getRecipeById(id) {
-        const url = `${this.baseUrl}lookup.php?i=${id}`;
+    async getRecipeById(id, { signal } = {}) {
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const recipe = await this.cached(`recipe:${id}`, options => this.provider.getById(id, options), signal);
+            if (!recipe) {
+                throw new NotFoundError(id);
             }
-            const data = await response.json();
-            // The lookup API returns { meals: [mealObject] }
-            return data.meals ? data.meals[0] : null;
+            return recipe;
         } catch (error) {
-            console.error(`Error fetching recipe with ID ${id}:`, error);
-            throw error;
+            throw this.failure(error, `Error fetching recipe with ID ${id}:`);
         }
     }
+
+    /**
+     * Lists the available values for a filter kind.
+     * @param {string} kind - 'category', 'area' or 'ingredient'.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+     * @returns {Promise<Array<string>>}
+     */
+    async listFilterValues(kind, { signal } = {}) {
+        try {
+            return await this.cached(`list:${kind}`, options => this.provider.list(kind, options), signal);
+        } catch (error) {
+            throw this.failure(error, `Error listing ${kind} values:`);
+        }
+    }
+
+    listCategories(options) {
+        return this.listFilterValues('category', options);
+    }
+
+    listAreas(options) {
+        return this.listFilterValues('area', options);
+    }
+
+    listIngredients(options) {
+        return this.listFilterValues('ingredient', options);
+    }
+
+    /**
+     * Fetches the recipes matching a single filter.
+     * Depending on the provider, these recipes may only have an ID, name and
+     * thumbnail; use `getRecipeById` for the full details.
+     * @param {string} kind - 'category', 'area' or 'ingredient'.
+     * @param {string} value - e.g. "Seafood", "Italian" or "chicken breast".
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+     * @returns {Promise<Array<Recipe>>}
+     */
+    async filterRecipes(kind, value, { signal } = {}) {
+        try {
+            return await this.cached(`filter:${kind}:${value.toLowerCase()}`, options => this.provider.filter(kind, value, options), signal);
+        } catch (error) {
+            throw this.failure(error, `Error filtering recipes by ${kind} "${value}":`);
+        }
+    }
+
+    filterByCategory(category, options) {
+        return this.filterRecipes('category', category, options);
+    }
+
+    filterByArea(area, options) {
+        return this.filterRecipes('area', area, options);
+    }
+
+    filterByIngredient(ingredient, options) {
+        return this.filterRecipes('ingredient', ingredient, options);
+    }
+
+    /**
+     * Combines a text search with any number of filters.
+     * TheMealDB can only filter by one thing per request, so every active
+     * criterion is fetched in parallel and the results are intersected here.
+     * @param {Object} criteria - `{ term, category, area, ingredient }`; empty values are ignored.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the requests when aborted.
+     * @returns {Promise<Array<Recipe>>}
+     */
+    async findRecipes({ term = '', ...filters }, { signal } = {}) {
+        const requests = [];
+        if (term) {
+            requests.push(this.searchRecipes(term, { signal }));
+        }
+        FILTER_KINDS
+            .filter(kind => filters[kind])
+            .forEach(kind => requests.push(this.filterRecipes(kind, filters[kind], { signal })));
+
+        if (requests.length === 0) {
+            return [];
+        }
+
+        // The text search comes first when present: it has the full recipe details,
+        // so its objects are the ones kept.
+        const [first, ...others] = await Promise.all(requests);
+        const otherIds = others.map(recipes => new Set(recipes.map(recipe => recipe.id)));
+        return first.filter(recipe => otherIds.every(ids => ids.has(recipe.id)));
+    }
 }
 
 // Export a single, shared instance of the APIManager.
-// This is a common pattern called a Singleton.
-export default new APIManager();
\ No newline at end of file
+// This is a common pattern called a Singleton. It defaults to the live API;
+// call `api.setProvider(...)` to point it somewhere else.
+export default new APIManager();
@@ -5,27 +5,265 @@
  * It handles user input and decides when to call the API and update the UI.
  */
 
-import api from './api.js';
+import api, { isAbortError, FILTER_KINDS } from './api.js';
 import ui from './ui.js';
+import favorites from './favorites.js';
+import shoppingList from './shopping-list.js';
+import planner, { slotKey } from './planner.js';
+import { createProvider } from './providers.js';
+import { debounceAsync, downloadFile } from './utils.js';
+import SuggestionBox from './suggestions.js';
+import router, { resultsKey } from './router.js';
+import { registerServiceWorker, watchConnection } from './offline.js';
+import { fileNameFor, toMarkdown, toJSON, toJsonLd, parseRecipeFile } from './export.js';
+
+// How long the user must stop typing before a live search starts
+const SEARCH_DEBOUNCE_MS = 300;
+// How many recipes to offer in the autocomplete dropdown
+const MAX_SUGGESTIONS = 8;
+// The recipe downloads offered in the details modal
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', type: 'text/markdown' },
+    json: { extension: 'json', type: 'application/json' },
+    'json-ld': { extension: 'jsonld', type: 'application/ld+json' }
+};
+// Drag-and-drop data types: a recipe dragged from the results, or a planned meal being moved
+const RECIPE_DRAG_TYPE = 'application/x-recipe';
+const SLOT_DRAG_TYPE = 'application/x-plan-slot';
 
 class App {
     constructor() {
         // Store references to the imported modules
         this.api = api;
         this.ui = ui;
+        this.favorites = favorites;
+        this.shoppingList = shoppingList;
+        this.planner = planner;
+        this.router = router;
+
+        // Allow the data source to be picked from the URL, e.g. `?source=fixture`
+        // for offline demos. Defaults to the live TheMealDB API.
+        const source = new URLSearchParams(window.location.search).get('source');
+        if (source) {
+            this.api.setProvider(createProvider(source));
+        }
 
         // Select the main interactive elements
         this.searchForm = document.getElementById('search-form');
         this.searchInput = document.getElementById('search-input');
         this.resultsContainer = document.getElementById('results-container');
+        this.modalDetailsContent = document.getElementById('modal-details-content');
+        this.favoritesBtn = document.getElementById('favorites-btn');
+        this.filterBar = document.getElementById('filter-bar');
+        this.activeFilters = document.getElementById('active-filters');
+        this.shoppingListBtn = document.getElementById('shopping-list-btn');
+        this.shoppingListPanel = document.getElementById('shopping-list-panel');
+        this.plannerBtn = document.getElementById('planner-btn');
+        this.plannerPanel = document.getElementById('planner-panel');
+        this.importBtn = document.getElementById('import-btn');
+        this.importInput = document.getElementById('import-input');
+        this.suggestions = new SuggestionBox(this.searchInput, document.getElementById('search-suggestions'), {
+            onSelect: recipe => {
+                this.searchInput.value = recipe.name;
+                this.showRecipe(recipe.id);
+            }
+        });
+
+        // The AbortController of the request currently in flight, per kind.
+        // Starting a new request of the same kind aborts the previous one, so a
+        // slow, outdated response can never overwrite newer results.
+        this.pendingRequests = { search: null, details: null };
+        // Whether the results area currently shows "My Favorites" instead of search results
+        this.showingFavorites = false;
+        this.isFavorite = id => this.favorites.has(id);
+        // Active filters, combined with the text search. Empty strings are inactive.
+        this.filters = { category: '', area: '', ingredient: '' };
+        // Identifies the results on screen (see router.js), so Back/Forward only
+        // re-runs a search when the results actually change
+        this.currentResultsKey = null;
 
         // Bind event handlers to the App instance to maintain `this` context
         this.handleSearch = this.handleSearch.bind(this);
+        this.handleInput = this.handleInput.bind(this);
         this.handleResultClick = this.handleResultClick.bind(this);
+        this.handleDetailsClick = this.handleDetailsClick.bind(this);
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+        this.handleFilterChipClick = this.handleFilterChipClick.bind(this);
+        this.handleShoppingListAction = this.handleShoppingListAction.bind(this);
+        this.handlePlannerAction = this.handlePlannerAction.bind(this);
+        this.handleDetailsSubmit = this.handleDetailsSubmit.bind(this);
+        this.handleDragStart = this.handleDragStart.bind(this);
+        this.handleDragOver = this.handleDragOver.bind(this);
+        this.handleDrop = this.handleDrop.bind(this);
+        this.handleImport = this.handleImport.bind(this);
+
+        // Live search: only the last keystroke in a burst triggers a request,
+        // and it replaces the current history entry instead of adding one per keystroke.
+        this.debouncedSearch = debounceAsync(
+            term => this.search(term, { suggest: true, updateUrl: 'replace' }),
+            SEARCH_DEBOUNCE_MS
+        );
 
         // Attach the event listeners
         this.searchForm.addEventListener('submit', this.handleSearch);
+        this.searchInput.addEventListener('input', this.handleInput);
         this.resultsContainer.addEventListener('click', this.handleResultClick);
+        this.modalDetailsContent.addEventListener('click', this.handleDetailsClick);
+        this.modalDetailsContent.addEventListener('submit', this.handleDetailsSubmit);
+        this.favoritesBtn.addEventListener('click', () => this.showFavorites());
+        this.filterBar.addEventListener('change', this.handleFilterChange);
+        this.activeFilters.addEventListener('click', this.handleFilterChipClick);
+        this.shoppingListBtn.addEventListener('click', () => this.ui.togglePanel('shoppingList'));
+        this.shoppingListPanel.addEventListener('click', this.handleShoppingListAction);
+        this.shoppingListPanel.addEventListener('change', this.handleShoppingListAction);
+        this.plannerBtn.addEventListener('click', () => this.ui.togglePanel('planner'));
+        this.plannerPanel.addEventListener('click', this.handlePlannerAction);
+        this.importBtn.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', this.handleImport);
+
+        // Drag and drop: recipe cards into the planner, and planned meals between slots
+        this.resultsContainer.addEventListener('dragstart', this.handleDragStart);
+        this.plannerPanel.addEventListener('dragstart', this.handleDragStart);
+        this.plannerPanel.addEventListener('dragover', this.handleDragOver);
+        this.plannerPanel.addEventListener('drop', this.handleDrop);
+        this.plannerPanel.addEventListener('dragleave', (e) => {
+            if (!this.plannerPanel.contains(e.relatedTarget)) this.ui.highlightDropTarget(null);
+        });
+        document.addEventListener('dragend', () => this.ui.highlightDropTarget(null));
+
+        // Keep the favorites view current, including changes made in another tab
+        this.favorites.subscribe(() => {
+            if (this.showingFavorites) {
+                this.showFavorites({ updateUrl: false, keepPosition: true });
+            }
+        });
+        // Same for the shopping list
+        this.shoppingList.subscribe(list => this.ui.renderShoppingList(list));
+        this.ui.renderShoppingList(this.shoppingList);
+        // ...and the meal planner
+        this.planner.subscribe(plan => this.ui.renderMealPlanner(plan));
+        this.ui.renderMealPlanner(this.planner);
+
+        // Keep the URL in sync: Back/Forward restore the matching state, and
+        // closing the modal updates the history
+        this.router.onChange(route => this.applyRoute(route));
+        this.ui.onModalClose(() => this.handleModalClose());
+
+        // Cache the app for offline use, and tell the user when they are offline
+        registerServiceWorker();
+        watchConnection(online => this.ui.setConnectionStatus(online));
+
+        this.loadFilterOptions();
+        // Restore whatever the URL describes, e.g. a shared link
+        this.applyRoute(this.router.current());
+    }
+
+    /**
+     * Brings the page in line with a route read from the URL.
+     * Nothing is written back to the history while doing so.
+     * @param {Object} route - A route as returned by `router.current()`.
+     */
+    applyRoute(route) {
+        if (resultsKey(route) !== this.currentResultsKey) {
+            this.searchInput.value = route.query;
+            this.filters = { ...route.filters };
+            this.ui.renderActiveFilters(this.filters);
+
+            if (route.view === 'favorites') {
+                this.showFavorites({ updateUrl: false });
+            } else {
+                this.search(route.query, { updateUrl: false });
+            }
+        }
+
+        if (route.recipeId) {
+            this.showRecipe(route.recipeId, { updateUrl: false });
+        } else {
+            this.pendingRequests.details?.abort();
+            this.ui.closeModal({ silent: true });
+        }
+    }
+
+    /**
+     * Removes the recipe from the URL once the user closes the modal.
+     * If opening the modal added a history entry, going back to it keeps
+     * Back and Forward symmetrical; otherwise (e.g. a shared link) the hash is
+     * simply dropped.
+     */
+    handleModalClose() {
+        if (history.state?.modal) {
+            history.back();
+        } else {
+            this.router.navigate({ recipeId: null }, { replace: true });
+        }
+    }
+
+    /**
+     * Loads the categories, areas and ingredients for the filter controls.
+     * If they can't be loaded, the filters are hidden and text search still works.
+     */
+    async loadFilterOptions() {
+        try {
+            const lists = await Promise.all(FILTER_KINDS.map(kind => this.api.listFilterValues(kind)));
+            this.ui.populateFilterOptions(Object.fromEntries(FILTER_KINDS.map((kind, i) => [kind, lists[i]])));
+            // The selects could not show a filter from the URL before their options existed
+            this.ui.renderActiveFilters(this.filters);
+        } catch (error) {
+            console.warn("Filters are unavailable:", error);
+            this.ui.hideFilters();
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether any filter is active.
+     */
+    hasActiveFilters() {
+        return Object.values(this.filters).some(Boolean);
+    }
+
+    /**
+     * Sets (or with an empty value, clears) one filter and re-runs the search.
+     * @param {string} kind - 'category', 'area' or 'ingredient'.
+     * @param {string} value - The filter value.
+     */
+    setFilter(kind, value) {
+        this.filters[kind] = value.trim();
+        this.ui.renderActiveFilters(this.filters);
+        this.search(this.searchInput.value.trim());
+    }
+
+    /**
+     * Handles a change to any of the filter controls.
+     * @param {Event} e - The change event object.
+     */
+    handleFilterChange(e) {
+        const kind = e.target.dataset.filter;
+        if (kind) {
+            this.setFilter(kind, e.target.value);
+        }
+    }
+
+    /**
+     * Removes a filter when its chip is clicked.
+     * @param {Event} e - The click event object.
+     */
+    handleFilterChipClick(e) {
+        const chip = e.target.closest('.filter-chip');
+        if (chip) {
+            this.setFilter(chip.dataset.filter, '');
+        }
+    }
+
+    /**
+     * Aborts the previous request of the given kind and returns a signal for the new one.
+     * @param {'search'|'details'} kind - Which kind of request is starting.
+     * @returns {AbortSignal}
+     */
+    startRequest(kind) {
+        this.pendingRequests[kind]?.abort();
+        const controller = new AbortController();
+        this.pendingRequests[kind] = controller;
+        return controller.signal;
     }
 
     /**
@@ -34,21 +272,79 @@ class App {
      */
     async handleSearch(e) {
         e.preventDefault();
+        // Submitting searches right away, so drop any live search still waiting
+        this.debouncedSearch.cancel();
+        this.suggestions.close();
+        await this.search(this.searchInput.value.trim());
+    }
+
+    /**
+     * Handles typing in the search box with a debounced live search.
+     */
+    handleInput() {
         const searchTerm = this.searchInput.value.trim();
 
-        if (!searchTerm) {
-            alert('Please enter a search term.');
+        if (!searchTerm && !this.hasActiveFilters()) {
+            // Clearing the box clears the results instead of searching for nothing
+            this.debouncedSearch.cancel();
+            this.pendingRequests.search?.abort();
+            this.suggestions.show([]);
+            this.ui.clearResults();
+            return;
+        }
+
+        // Nothing awaits this promise, so every error must be handled here
+        this.debouncedSearch(searchTerm).catch(error => {
+            // Superseded keystrokes reject with an AbortError; nothing to report
+            if (isAbortError(error)) return;
+            console.error("Live search failed:", error);
+            this.ui.displayError(error, {
+                onRetry: () => this.search(searchTerm, { updateUrl: false })
+            });
+        });
+    }
+
+    /**
+     * Runs a search, combined with the active filters, and displays the results.
+     * @param {string} searchTerm - The term to search for; may be empty when filters are active.
+     * @param {Object} [options]
+     * @param {boolean} [options.suggest=false] - Also fill the autocomplete dropdown.
+     * @param {'push'|'replace'|false} [options.updateUrl='push'] - How to record the search in the history.
+     */
+    async search(searchTerm, { suggest = false, updateUrl = 'push' } = {}) {
+        const route = { query: searchTerm, filters: { ...this.filters }, view: 'search', recipeId: null };
+        this.currentResultsKey = resultsKey(route);
+        if (updateUrl) {
+            this.router.navigate(route, { replace: updateUrl === 'replace' });
+        }
+
+        if (!searchTerm && !this.hasActiveFilters()) {
+            this.pendingRequests.search?.abort();
+            this.ui.clearResults();
             return;
         }
 
+        const signal = this.startRequest('search');
+        // A new search also makes any pending details request irrelevant
+        this.pendingRequests.details?.abort();
+        this.showingFavorites = false;
+        this.ui.setFavoritesView(false);
         this.ui.showLoading();
 
         try {
-            const recipes = await this.api.searchRecipes(searchTerm);
-            this.ui.displayRecipes(recipes);
+            const recipes = await this.api.findRecipes({ term: searchTerm, ...this.filters }, { signal });
+            if (signal.aborted) return; // A newer search has taken over
+            this.ui.displayRecipes(recipes, { isFavorite: this.isFavorite });
+            // Only suggest while the user is still typing in the box
+            if (suggest && searchTerm && document.activeElement === this.searchInput) {
+                this.suggestions.show(recipes.slice(0, MAX_SUGGESTIONS));
+            }
         } catch (error) {
-            this.ui.displayRecipes([]); // Display a "not found" message
-            console.error("Search failed:", error);
+            if (isAbortError(error)) return; // Cancelled on purpose, not a failure
+            // Show what went wrong; Retry runs the same search again
+            this.ui.displayError(error, {
+                onRetry: () => this.search(searchTerm, { updateUrl: false })
+            });
         }
     }
 
@@ -57,11 +353,329 @@ class App {
      * @param {Event} e - The click event object.
      */
     async handleResultClick(e) {
+        const favoriteButton = e.target.closest('[data-action="toggle-favorite"]');
+        if (favoriteButton) {
+            await this.toggleFavorite(favoriteButton.dataset.id);
+            return;
+        }
+
         const card = e.target.closest('.recipe-card');
         if (card) {
-            const recipeId = card.dataset.id;
-            const recipe = await this.api.getRecipeById(recipeId);
-            this.ui.displayRecipeDetails(recipe);
+            await this.showRecipe(card.dataset.id);
+        }
+    }
+
+    /**
+     * Handles clicks inside the details modal: the heart, "Add to shopping list",
+     * Print and download buttons.
+     * @param {Event} e - The click event object.
+     */
+    async handleDetailsClick(e) {
+        const favoriteButton = e.target.closest('[data-action="toggle-favorite"]');
+        if (favoriteButton) {
+            await this.toggleFavorite(favoriteButton.dataset.id);
+            return;
+        }
+
+        const recipe = this.ui.currentRecipe;
+        if (!recipe) return;
+
+        if (e.target.closest('[data-action="add-to-list"]')) {
+            // Shop for the servings chosen with the slider
+            this.shoppingList.addRecipe(recipe, { factor: this.ui.servingsFactor() });
+            this.ui.confirmAction('[data-action="add-to-list"]', 'Added to shopping list');
+        } else if (e.target.closest('[data-action="print"]')) {
+            // The print stylesheet shows only the recipe, as currently scaled
+            window.print();
+        } else {
+            const exportButton = e.target.closest('[data-action="export"]');
+            if (exportButton) {
+                this.exportRecipe(recipe, exportButton.dataset.format);
+            }
+        }
+    }
+
+    /**
+     * Downloads a recipe as a file.
+     * The Markdown matches the servings and units shown in the modal; the JSON
+     * formats always contain the original recipe, so an import restores it exactly.
+     * @param {Recipe} recipe - The recipe to export.
+     * @param {'markdown'|'json'|'json-ld'} format - One of EXPORT_FORMATS.
+     */
+    exportRecipe(recipe, format) {
+        const { extension, type } = EXPORT_FORMATS[format];
+        const { servings, system } = this.ui.measureOptions;
+        const content = {
+            markdown: () => toMarkdown(recipe, { servings, factor: this.ui.servingsFactor(), system: system || null }),
+            json: () => toJSON(recipe),
+            'json-ld': () => toJsonLd(recipe)
+        }[format]();
+        downloadFile(fileNameFor(recipe, extension), content, type);
+    }
+
+    /**
+     * Imports a recipe exported as JSON, and saves it to the favorites.
+     * @param {Event} e - The change event of the file input.
+     */
+    async handleImport(e) {
+        const [file] = e.target.files;
+        // Reset the input, so choosing the same file again still triggers a change
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const recipe = parseRecipeFile(await file.text());
+            this.favorites.add(recipe);
+            this.showFavorites();
+            this.ui.setImportStatus(`Imported "${recipe.name}" into your favorites.`);
+        } catch (error) {
+            console.error("Could not import the recipe:", error);
+            this.ui.setImportStatus(`Could not import ${file.name}: ${error.message}.`, { isError: true });
+        }
+    }
+
+    /**
+     * Handles the "Add to meal plan" form in the details modal.
+     * @param {Event} e - The submit event object.
+     */
+    handleDetailsSubmit(e) {
+        const form = e.target.closest('[data-action="add-to-plan"]');
+        if (!form || !this.ui.currentRecipe) return;
+        e.preventDefault();
+
+        const { day, meal } = Object.fromEntries(new FormData(form));
+        this.planner.set(slotKey(day, meal), this.ui.currentRecipe);
+        this.ui.confirmAction('.plan-form [type="submit"]', `Planned for ${day} ${meal.toLowerCase()}`);
+    }
+
+    /**
+     * Handles the buttons of the meal planner panel.
+     * @param {Event} e - The click event object.
+     */
+    async handlePlannerAction(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'undo':
+                this.planner.undo();
+                break;
+            case 'redo':
+                this.planner.redo();
+                break;
+            case 'remove-planned':
+                this.planner.remove(target.dataset.slot);
+                break;
+            case 'open-planned':
+                await this.showRecipe(target.dataset.id);
+                break;
+            case 'clear-plan':
+                // No confirmation needed: clearing can be undone
+                this.planner.clear();
+                this.ui.setPlannerStatus('The week was cleared. Use Undo to bring it back.');
+                break;
+            case 'plan-to-list':
+                await this.addPlanToShoppingList();
+                break;
+        }
+    }
+
+    /**
+     * Adds the ingredients of every planned meal to the shopping list.
+     * A recipe planned twice is added twice. Recipes that can't be loaded are
+     * taken from the favorites if possible, and otherwise skipped.
+     */
+    async addPlanToShoppingList() {
+        const planned = this.planner.plannedRecipes();
+        if (planned.length === 0) {
+            this.ui.setPlannerStatus('Plan some meals first.');
+            return;
+        }
+
+        this.ui.setPlannerStatus('Adding ingredients...');
+        const results = await Promise.allSettled(planned.map(async ({ id }) => {
+            try {
+                return await this.api.getRecipeById(id);
+            } catch (error) {
+                const snapshot = this.favorites.get(id);
+                if (snapshot) return snapshot;
+                throw error;
+            }
+        }));
+
+        const recipes = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        recipes.forEach(recipe => this.shoppingList.addRecipe(recipe));
+
+        const failed = results.length - recipes.length;
+        const added = `Added ${recipes.length} ${recipes.length === 1 ? 'meal' : 'meals'} to the shopping list`;
+        this.ui.setPlannerStatus(failed === 0 ? `${added}.` : `${added}; ${failed} could not be loaded.`);
+    }
+
+    /**
+     * Starts dragging a recipe card or a planned meal.
+     * @param {DragEvent} e - The dragstart event object.
+     */
+    handleDragStart(e) {
+        const planned = e.target.closest?.('.planned-recipe');
+        if (planned) {
+            e.dataTransfer.setData(SLOT_DRAG_TYPE, planned.dataset.slot);
+            e.dataTransfer.effectAllowed = 'move';
+            return;
+        }
+
+        const card = e.target.closest?.('.recipe-card');
+        const recipe = card && this.ui.recipeForCard(card);
+        if (recipe) {
+            const { id, name, thumbnail } = recipe;
+            e.dataTransfer.setData(RECIPE_DRAG_TYPE, JSON.stringify({ id, name, thumbnail }));
+            e.dataTransfer.setData('text/plain', name);
+            e.dataTransfer.effectAllowed = 'copyMove';
+        }
+    }
+
+    /**
+     * Allows dropping on a planner slot, and highlights it.
+     * @param {DragEvent} e - The dragover event object.
+     */
+    handleDragOver(e) {
+        const slot = e.target.closest('.planner-slot');
+        const types = [...e.dataTransfer.types];
+        if (!slot || !(types.includes(RECIPE_DRAG_TYPE) || types.includes(SLOT_DRAG_TYPE))) {
+            this.ui.highlightDropTarget(null);
+            return;
+        }
+        e.preventDefault(); // Accept the drop
+        e.dataTransfer.dropEffect = types.includes(SLOT_DRAG_TYPE) ? 'move' : 'copy';
+        this.ui.highlightDropTarget(slot);
+    }
+
+    /**
+     * Plans a dropped recipe, or moves a dropped meal to its new slot.
+     * @param {DragEvent} e - The drop event object.
+     */
+    handleDrop(e) {
+        const slot = e.target.closest('.planner-slot');
+        this.ui.highlightDropTarget(null);
+        if (!slot) return;
+        e.preventDefault();
+
+        const fromSlot = e.dataTransfer.getData(SLOT_DRAG_TYPE);
+        const recipe = e.dataTransfer.getData(RECIPE_DRAG_TYPE);
+        if (fromSlot) {
+            this.planner.move(fromSlot, slot.dataset.slot);
+        } else if (recipe) {
+            this.planner.set(slot.dataset.slot, JSON.parse(recipe));
+        }
+    }
+
+    /**
+     * Handles the checkboxes and buttons of the shopping list panel.
+     * @param {Event} e - A click or change event from inside the panel.
+     */
+    handleShoppingListAction(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        const { action, key } = target.dataset;
+
+        // Checkboxes are handled on change, everything else on click
+        if ((action === 'check-item') !== (e.type === 'change')) return;
+
+        switch (action) {
+            case 'check-item':
+                this.shoppingList.setChecked(key, target.checked);
+                break;
+            case 'remove-item':
+                this.shoppingList.remove(key);
+                break;
+            case 'clear-checked':
+                this.shoppingList.clearChecked();
+                break;
+            case 'clear-all':
+                if (confirm('Remove everything from the shopping list?')) {
+                    this.shoppingList.clear();
+                }
+                break;
+            case 'download-text':
+                downloadFile('shopping-list.txt', this.shoppingList.toText());
+                break;
+            case 'download-markdown':
+                downloadFile('shopping-list.md', this.shoppingList.toMarkdown(), 'text/markdown');
+                break;
+        }
+    }
+
+    /**
+     * Adds a recipe to the favorites, or removes it if it is already there.
+     * The full recipe is fetched first (usually straight from the cache), so the
+     * stored snapshot can be opened later without the network.
+     * @param {string} recipeId - The ID of the recipe to toggle.
+     */
+    async toggleFavorite(recipeId) {
+        if (this.favorites.has(recipeId)) {
+            this.favorites.remove(recipeId);
+        } else {
+            try {
+                this.favorites.add(await this.api.getRecipeById(recipeId));
+            } catch (error) {
+                // The APIManager has already logged it; the heart simply stays empty
+                return;
+            }
+        }
+        this.ui.updateFavoriteButtons(recipeId, this.favorites.has(recipeId));
+    }
+
+    /**
+     * Shows the saved recipes in the results area.
+     * @param {Object} [options]
+     * @param {'push'|'replace'|false} [options.updateUrl='push'] - How to record the view in the history.
+     * @param {boolean} [options.keepPosition=false] - Keep the cards loaded so far, for in-place refreshes.
+     */
+    showFavorites({ updateUrl = 'push', keepPosition = false } = {}) {
+        const route = { query: '', filters: {}, view: 'favorites', recipeId: null };
+        this.currentResultsKey = resultsKey(route);
+        if (updateUrl) {
+            this.router.navigate(route, { replace: updateUrl === 'replace' });
+        }
+
+        this.pendingRequests.search?.abort();
+        this.debouncedSearch.cancel();
+        this.showingFavorites = true;
+        this.ui.setFavoritesView(true);
+        this.ui.displayRecipes(this.favorites.getAll(), {
+            isFavorite: this.isFavorite,
+            emptyMessage: 'No favorites yet. Tap the heart on a recipe to save it here.',
+            keepPosition
+        });
+    }
+
+    /**
+     * Fetches a recipe and opens it in the details modal.
+     * @param {string} recipeId - The ID of the recipe to show.
+     * @param {Object} [options]
+     * @param {'push'|'replace'|false} [options.updateUrl='push'] - How to record the recipe in the history.
+     */
+    async showRecipe(recipeId, { updateUrl = 'push' } = {}) {
+        if (updateUrl) {
+            // Mark the entry so closing the modal knows it can simply go back
+            this.router.navigate({ recipeId }, { replace: updateUrl === 'replace', state: { modal: true } });
+        }
+
+        const signal = this.startRequest('details');
+        try {
+            const recipe = await this.api.getRecipeById(recipeId, { signal });
+            if (signal.aborted) return; // Another recipe was opened meanwhile
+            this.ui.displayRecipeDetails(recipe, { isFavorite: this.isFavorite(recipeId) });
+        } catch (error) {
+            if (isAbortError(error)) return;
+            // Favorites keep a full snapshot, so they still open while offline
+            const snapshot = this.favorites.get(recipeId);
+            if (snapshot) {
+                this.ui.displayRecipeDetails(snapshot, { isFavorite: true });
+                return;
+            }
+            this.ui.displayRecipeError(error, {
+                onRetry: () => this.showRecipe(recipeId, { updateUrl: false })
+            });
         }
     }
 }
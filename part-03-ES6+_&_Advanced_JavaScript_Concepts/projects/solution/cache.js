@@ -0,0 +1,333 @@
+/**
+ * cache.js
+ * This module provides the response cache used by the APIManager.
+ * Entries expire after a configurable TTL, the least recently used entry is
+ * evicted once the cache is full, and stale entries are served instantly while
+ * a fresh copy is fetched in the background (stale-while-revalidate).
+ * Entries can optionally be persisted to localStorage or IndexedDB so they
+ * survive a page reload.
+ */
+
+export class ResponseCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttl=300000] - How long (ms) an entry counts as fresh.
+     * @param {number} [options.maxEntries=50] - The LRU size bound.
+     * @param {Object} [options.storage] - Optional persistence backend (see below).
+     * @param {Function} [options.revive] - Turns a value read back from storage into its runtime form.
+     */
+    constructor({ ttl = 5 * 60 * 1000, maxEntries = 50, storage = null, revive = value => value } = {}) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.storage = storage;
+        this.revive = revive;
+
+        // A Map remembers insertion order, so re-inserting a key on every read
+        // keeps the least recently used entry at the front.
+        this.entries = new Map();
+        // Loads for missing keys, shared by everyone asking for the same key meanwhile
+        this.loading = new Map();
+        // Background refreshes in progress, so one key is never refreshed twice at once
+        this.refreshing = new Map();
+        // Bumped by clear(), so loads started before it don't write their results back
+        this.generation = 0;
+        this.ready = this.hydrate();
+    }
+
+    /**
+     * Loads any persisted entries into memory.
+     */
+    async hydrate() {
+        if (!this.storage) return;
+        try {
+            const stored = await this.storage.load();
+            stored
+                .sort(([, a], [, b]) => a.storedAt - b.storedAt)
+                .forEach(([key, entry]) => this.remember(key, { ...entry, value: this.revive(entry.value) }));
+            this.evict();
+        } catch (error) {
+            console.warn("Could not restore the response cache:", error);
+        }
+    }
+
+    /**
+     * Returns the cached value for a key, calling `loader` when needed.
+     * - Fresh entry: returned as is.
+     * - Stale entry: returned immediately, and `loader` refreshes it in the background.
+     * - No entry: `loader` is awaited and its result is cached. Callers asking for
+     *   the same key meanwhile wait for that same load.
+     * A loader result of null or undefined means "nothing there" (e.g. no recipe
+     * with that ID). It is returned but not cached, so the next call asks again.
+     * @param {string} key - The cache key.
+     * @param {Function} loader - An async function that produces the value. It is
+     *   called with `{ signal }`, and should pass the signal on to its requests.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting for the value. The load itself
+     *   is only aborted once every caller waiting for it has given up, and background
+     *   refreshes never are: they outlive the request that started them.
+     * @returns {Promise<*>}
+     */
+    async get(key, loader, { signal } = {}) {
+        await this.ready;
+        signal?.throwIfAborted();
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return this.load(key, loader, signal);
+        }
+
+        this.remember(key, entry);
+        if (this.isStale(entry)) {
+            this.refresh(key, loader);
+        }
+        return entry.value;
+    }
+
+    /**
+     * Waits for a missing key's value, starting the load unless one is in progress.
+     */
+    load(key, loader, signal) {
+        let load = this.loading.get(key);
+        if (!load) {
+            const controller = new AbortController();
+            const { generation } = this;
+            load = { controller, waiting: 0 };
+            load.promise = Promise.resolve()
+                .then(() => loader({ signal: controller.signal }))
+                .then(value => (value == null || generation !== this.generation ? value : this.set(key, value)))
+                .finally(() => {
+                    if (this.loading.get(key) === load) this.loading.delete(key);
+                });
+            this.loading.set(key, load);
+        }
+
+        load.waiting++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(signal.reason);
+                // Nobody wants the value any more, so stop loading it
+                if (--load.waiting === 0 && this.loading.get(key) === load) {
+                    this.loading.delete(key);
+                    load.controller.abort(signal.reason);
+                }
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            load.promise
+                .finally(() => signal?.removeEventListener('abort', onAbort))
+                .then(resolve, reject);
+        });
+    }
+
+    /**
+     * Stores a value, evicting the least recently used entry if the cache is full.
+     * @param {string} key - The cache key.
+     * @param {*} value - The value to store.
+     * @returns {*} The stored value.
+     */
+    set(key, value) {
+        const entry = { value, storedAt: Date.now() };
+        this.remember(key, entry);
+        this.persist(key, entry);
+        this.evict();
+        return value;
+    }
+
+    /**
+     * Drops least recently used entries until the cache is within its size bound.
+     */
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.delete(oldestKey);
+        }
+    }
+
+    /**
+     * Removes a single entry.
+     * @param {string} key - The cache key.
+     */
+    delete(key) {
+        this.entries.delete(key);
+        if (this.storage) {
+            this.storage.delete(key).catch(error => console.warn("Could not delete cache entry:", error));
+        }
+    }
+
+    /**
+     * Removes every entry, including persisted ones.
+     * Loads still in progress are aborted, and neither they nor background
+     * refreshes store their results once they finish: those come from
+     * whatever the cache was loading from before (e.g. the previous provider).
+     */
+    clear() {
+        this.generation++;
+        this.loading.forEach(load => load.controller.abort());
+        this.loading.clear();
+        this.refreshing.clear();
+        this.entries.clear();
+        if (this.storage) {
+            this.storage.clear().catch(error => console.warn("Could not clear the cache storage:", error));
+        }
+    }
+
+    /**
+     * @param {Object} entry - A cache entry.
+     * @returns {boolean} Whether the entry is older than the TTL.
+     */
+    isStale(entry) {
+        return Date.now() - entry.storedAt > this.ttl;
+    }
+
+    /**
+     * Moves an entry to the most recently used position.
+     */
+    remember(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+    }
+
+    /**
+     * Writes an entry to the persistence backend, if there is one.
+     */
+    persist(key, entry) {
+        if (this.storage) {
+            this.storage.save(key, entry).catch(error => console.warn("Could not persist cache entry:", error));
+        }
+    }
+
+    /**
+     * Re-runs the loader in the background and replaces the entry on success.
+     * If the refresh fails, the stale value stays in place; if it finds nothing
+     * (null or undefined), the entry is removed. The loader gets no signal:
+     * cancelling the request that found the entry stale must not stop it.
+     */
+    refresh(key, loader) {
+        if (this.refreshing.has(key)) return;
+
+        const { generation } = this;
+        const refresh = Promise.resolve()
+            .then(() => loader({}))
+            .then(value => {
+                if (generation !== this.generation) return;
+                if (value == null) {
+                    this.delete(key);
+                } else {
+                    this.set(key, value);
+                }
+            })
+            .catch(error => console.warn(`Background refresh failed for "${key}":`, error))
+            .finally(() => {
+                if (this.refreshing.get(key) === refresh) this.refreshing.delete(key);
+            });
+        this.refreshing.set(key, refresh);
+    }
+}
+
+/**
+ * Persists cache entries in localStorage, one item per entry.
+ * Every backend implements the same async interface:
+ * `load()`, `save(key, entry)`, `delete(key)` and `clear()`.
+ */
+export class LocalStorageBackend {
+    constructor(prefix = 'recipe-cache:') {
+        this.prefix = prefix;
+    }
+
+    async load() {
+        const stored = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const storageKey = localStorage.key(i);
+            if (storageKey.startsWith(this.prefix)) {
+                try {
+                    stored.push([storageKey.slice(this.prefix.length), JSON.parse(localStorage.getItem(storageKey))]);
+                } catch {
+                    // Skip entries that are not valid JSON
+                }
+            }
+        }
+        return stored;
+    }
+
+    async save(key, entry) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(entry));
+    }
+
+    async delete(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    async clear() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const storageKey = localStorage.key(i);
+            if (storageKey.startsWith(this.prefix)) {
+                keys.push(storageKey);
+            }
+        }
+        keys.forEach(storageKey => localStorage.removeItem(storageKey));
+    }
+}
+
+/**
+ * Persists cache entries in an IndexedDB object store.
+ * IndexedDB can hold far more data than localStorage, which matters once
+ * full recipe details are being cached.
+ */
+export class IndexedDBBackend {
+    constructor(dbName = 'recipe-finder', storeName = 'responses') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    /**
+     * Opens (and on first use, creates) the database.
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Runs a single request against the object store and resolves with its result.
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {Function} makeRequest - Receives the store and returns an IDBRequest.
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async load() {
+        const [keys, values] = await Promise.all([
+            this.run('readonly', store => store.getAllKeys()),
+            this.run('readonly', store => store.getAll())
+        ]);
+        return keys.map((key, i) => [key, values[i]]);
+    }
+
+    async save(key, entry) {
+        // Structured clone keeps class fields but drops methods, so store plain JSON data
+        await this.run('readwrite', store => store.put(JSON.parse(JSON.stringify(entry)), key));
+    }
+
+    async delete(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+    }
+}
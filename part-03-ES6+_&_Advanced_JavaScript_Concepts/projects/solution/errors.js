@@ -0,0 +1,58 @@
+/**
+ * errors.js
+ * The error types the APIManager can reject with. Each failure mode gets its
+ * own class, so the UI can tell "you are offline" apart from "the server
+ * broke" or "no such recipe", and show the right message for each.
+ */
+
+import { RequestError, AbortError } from './http.js';
+
+export class RecipeError extends Error {
+    /**
+     * @param {string} message - A developer-facing description.
+     * @param {Object} [options]
+     * @param {Error} [options.cause] - The underlying error, if any.
+     */
+    constructor(message, { cause } = {}) {
+        super(message, { cause });
+        // Use the subclass name, e.g. "NetworkError", so `error.name` identifies the type
+        this.name = new.target.name;
+    }
+}
+
+/**
+ * The failures of an HttpClient request, and the AbortError a cancelled one
+ * rejects with, come with the client (see http.js):
+ *   - RequestError: the base class of the four below
+ *   - NetworkError: the request never got a response (offline, DNS failure, CORS, ...)
+ *   - TimeoutError: no response arrived in time; a kind of NetworkError
+ *   - HttpError: the server responded with an error status (`status`, `response`, `body`)
+ *   - ParseError: a body wasn't the JSON we expected, e.g. a response or an imported file
+ */
+export { RequestError, NetworkError, TimeoutError, HttpError, ParseError, AbortError } from './http.js';
+
+/** The requested recipe doesn't exist. */
+export class NotFoundError extends RecipeError {
+    constructor(id, options) {
+        super(`Recipe ${id} was not found`, options);
+        this.id = id;
+    }
+}
+
+/**
+ * Converts any error thrown while loading data into one of the types above.
+ * RecipeErrors, RequestErrors and AbortErrors are returned unchanged, a
+ * DOMException named "AbortError" (from `fetch` or `AbortSignal.throwIfAborted`)
+ * becomes an AbortError, and anything else is wrapped in a plain RecipeError.
+ * @param {Error} error - The error to convert.
+ * @returns {RecipeError|RequestError|AbortError}
+ */
+export function toRecipeError(error) {
+    if (error instanceof RecipeError || error instanceof RequestError || error instanceof AbortError) {
+        return error;
+    }
+    if (error?.name === 'AbortError') {
+        return new AbortError(undefined, { cause: error });
+    }
+    return new RecipeError(error?.message || String(error), { cause: error });
+}
@@ -0,0 +1,139 @@
+/**
+ * export.js
+ * This module turns a recipe into files that can be shared: Markdown to read,
+ * JSON to import again (see parseRecipeFile), and schema.org JSON-LD that
+ * other recipe apps and search engines understand.
+ */
+
+import { Recipe, measureOf } from './recipe.js';
+import { adjustMeasure } from './measure.js';
+import { ParseError } from './errors.js';
+
+// Identifies our JSON files, so an import can tell them apart from any other JSON
+const FILE_FORMAT = 'recipe-finder/recipe';
+const FILE_VERSION = 1;
+
+/**
+ * Builds a file name from the recipe name, e.g. "spicy-arrabiata-penne.md".
+ * @param {Recipe} recipe - The recipe being exported.
+ * @param {string} extension - e.g. "md" or "json".
+ * @returns {string}
+ */
+export function fileNameFor(recipe, extension) {
+    const slug = recipe.name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // drop accents: "Crème" → "creme"
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return `${slug || `recipe-${recipe.id}`}.${extension}`;
+}
+
+/**
+ * Lists the ingredients as "1 cup Flour" lines, scaled and converted like the details modal.
+ * @param {Recipe} recipe - The recipe.
+ * @param {Object} [options] - The same options as adjustMeasure.
+ * @returns {Array<string>}
+ */
+function ingredientLines(recipe, options) {
+    return recipe.ingredients.map(ingredient =>
+        [adjustMeasure(measureOf(ingredient), options), ingredient.name].filter(Boolean).join(' ')
+    );
+}
+
+/**
+ * Exports a recipe as Markdown.
+ * @param {Recipe} recipe - The recipe.
+ * @param {Object} [options]
+ * @param {number} [options.servings] - How many servings the measures are for, if known.
+ * @param {number} [options.factor=1] - Scales the measures, e.g. 2 for twice the servings.
+ * @param {'metric'|'imperial'|null} [options.system=null] - Converts the measures.
+ * @returns {string}
+ */
+export function toMarkdown(recipe, { servings, factor = 1, system = null } = {}) {
+    const details = [
+        servings && `**Servings:** ${servings}`,
+        recipe.category && `**Category:** ${recipe.category}`,
+        recipe.area && `**Cuisine:** ${recipe.area}`,
+        recipe.tags.length > 0 && `**Tags:** ${recipe.tags.join(', ')}`
+    ].filter(Boolean);
+
+    const sections = [
+        `# ${recipe.name}`,
+        recipe.thumbnail && `![${recipe.name}](${recipe.thumbnail})`,
+        details.join('  \n'),
+        '## Ingredients',
+        ingredientLines(recipe, { factor, system }).map(line => `- ${line}`).join('\n'),
+        '## Instructions',
+        recipe.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')
+    ];
+    return sections.filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Exports a recipe as JSON that parseRecipeFile can read back.
+ * @param {Recipe} recipe - The recipe.
+ * @returns {string}
+ */
+export function toJSON(recipe) {
+    const file = {
+        format: FILE_FORMAT,
+        version: FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        recipe
+    };
+    return JSON.stringify(file, null, 2) + '\n';
+}
+
+/**
+ * Exports a recipe as a schema.org Recipe in JSON-LD.
+ * Empty fields are left out rather than exported as empty strings.
+ * @param {Recipe} recipe - The recipe.
+ * @returns {string}
+ */
+export function toJsonLd(recipe) {
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'Recipe',
+        identifier: recipe.id,
+        name: recipe.name,
+        image: recipe.thumbnail ? [recipe.thumbnail] : undefined,
+        recipeCategory: recipe.category || undefined,
+        recipeCuisine: recipe.area || undefined,
+        keywords: recipe.tags.length > 0 ? recipe.tags.join(', ') : undefined,
+        recipeIngredient: ingredientLines(recipe),
+        recipeInstructions: recipe.steps.map(text => ({ '@type': 'HowToStep', text }))
+    };
+    return JSON.stringify(data, null, 2) + '\n';
+}
+
+/**
+ * Reads a recipe back from a file written by toJSON.
+ * @param {string} text - The file contents.
+ * @returns {Recipe}
+ * @throws {ParseError} If the file isn't a recipe exported by this app.
+ */
+export function parseRecipeFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new ParseError('The file is not valid JSON', { cause: error });
+    }
+
+    if (file?.format !== FILE_FORMAT) {
+        throw new ParseError('The file is not a recipe exported from Recipe Finder');
+    }
+    if (file.version > FILE_VERSION) {
+        throw new ParseError(`The recipe was exported by a newer version of the app (version ${file.version})`);
+    }
+
+    const { recipe } = file;
+    const isList = value => value === undefined || Array.isArray(value);
+    if (!recipe?.id || typeof recipe.name !== 'string' ||
+        !isList(recipe.tags) || !isList(recipe.steps) || !isList(recipe.ingredients) ||
+        recipe.ingredients?.some(ingredient => typeof ingredient?.name !== 'string')) {
+        throw new ParseError('The recipe in the file is incomplete');
+    }
+    return Recipe.from(recipe);
+}
@@ -0,0 +1,154 @@
+/**
+ * favorites.js
+ * This module keeps the user's saved recipes in localStorage.
+ * A full snapshot of every recipe is stored, so favorites can still be opened
+ * when the API is unreachable. The stored data carries a schema version, and
+ * older formats are migrated forward when they are loaded.
+ */
+
+import { Recipe } from './recipe.js';
+
+const STORAGE_KEY = 'recipe-finder:favorites';
+const SCHEMA_VERSION = 1;
+
+/**
+ * Upgrades stored data one version at a time. Each function receives the data
+ * of version N and returns the data of version N + 1.
+ */
+const migrations = {
+    // Version 0 had no envelope: just an array of recipe objects
+    0: recipes => ({
+        version: 1,
+        items: recipes.map(recipe => ({ recipe, savedAt: Date.now() }))
+    })
+};
+
+/**
+ * Brings stored data up to the current schema version.
+ * @param {*} data - Whatever was read from storage.
+ * @returns {{version: number, items: Array}}
+ */
+function migrate(data) {
+    let version = Array.isArray(data) ? 0 : data.version;
+
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Favorites were saved by a newer version of the app (schema ${version})`);
+    }
+    while (version < SCHEMA_VERSION) {
+        data = migrations[version](data);
+        version = data.version;
+    }
+    return data;
+}
+
+export class FavoritesStore {
+    constructor(storageKey = STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.items = this.load();
+
+        // Keep several open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.items = this.load();
+                this.notify();
+            }
+        });
+    }
+
+    /**
+     * Reads favorites from localStorage.
+     * @returns {Map<string, {recipe: Recipe, savedAt: number}>}
+     */
+    load() {
+        const items = new Map();
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            if (raw) {
+                migrate(JSON.parse(raw)).items.forEach(({ recipe, savedAt }) => {
+                    items.set(String(recipe.id), { recipe: Recipe.from(recipe), savedAt });
+                });
+            }
+        } catch (error) {
+            console.error("Could not load favorites:", error);
+        }
+        return items;
+    }
+
+    /**
+     * Writes favorites to localStorage and notifies listeners.
+     */
+    save() {
+        const data = { version: SCHEMA_VERSION, items: [...this.items.values()] };
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error("Could not save favorites:", error);
+        }
+        this.notify();
+    }
+
+    /**
+     * @param {string} id - A recipe ID.
+     * @returns {boolean} Whether the recipe is a favorite.
+     */
+    has(id) {
+        return this.items.has(String(id));
+    }
+
+    /**
+     * @param {string} id - A recipe ID.
+     * @returns {Recipe|null} The stored snapshot of a favorite recipe.
+     */
+    get(id) {
+        return this.items.get(String(id))?.recipe || null;
+    }
+
+    /**
+     * @returns {Array<Recipe>} All favorites, most recently saved first.
+     */
+    getAll() {
+        return [...this.items.values()]
+            .sort((a, b) => b.savedAt - a.savedAt)
+            .map(item => item.recipe);
+    }
+
+    /**
+     * Saves a recipe, replacing any older snapshot of it.
+     * @param {Recipe} recipe - The recipe to save.
+     */
+    add(recipe) {
+        const snapshot = Recipe.from(recipe);
+        this.items.set(snapshot.id, { recipe: snapshot, savedAt: Date.now() });
+        this.save();
+    }
+
+    /**
+     * Removes a recipe from the favorites.
+     * @param {string} id - A recipe ID.
+     */
+    remove(id) {
+        if (this.items.delete(String(id))) {
+            this.save();
+        }
+    }
+
+    /**
+     * Registers a callback that runs whenever the favorites change.
+     * @param {Function} listener - Called with the store.
+     * @returns {Function} A function that removes the listener.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Export a single, shared instance, like the API and UI managers.
+export default new FavoritesStore();
@@ -0,0 +1,98 @@
+/**
+ * html.js
+ * A tiny safe-templating helper for building markup from untrusted data.
+ *
+ *   html`<h2>${recipe.name}</h2>`   interpolated values are escaped
+ *   raw('<br>')                     explicitly marks trusted markup
+ *   render(element, template)       puts a template into the page
+ *
+ * Recipe names, measures and instructions come from a third-party API (and
+ * search terms from the user), so none of them may ever reach innerHTML unescaped.
+ */
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * A string of markup that is known to be safe. Only `html` and `raw` create these.
+ */
+export class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escapes the characters that have a meaning in HTML text and attribute values.
+ * @param {*} value - The value to escape; it is converted to a string first.
+ * @returns {string}
+ */
+export function escapeHTML(value) {
+    return String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+}
+
+/**
+ * Marks a string as trusted markup so `html` inserts it without escaping.
+ * Only use this for markup written in the code, never for data.
+ * @param {string} markup - Trusted HTML.
+ * @returns {SafeHTML}
+ */
+export function raw(markup) {
+    return new SafeHTML(String(markup));
+}
+
+/**
+ * Converts one interpolated value into safe markup.
+ * - SafeHTML (nested templates, `raw`) is inserted as is.
+ * - Arrays are converted item by item and joined, so `.map()` results just work.
+ * - null, undefined and false render nothing, which makes `${cond && html`...`}` convenient.
+ * - Everything else is escaped.
+ */
+function toMarkup(value) {
+    if (value instanceof SafeHTML) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+}
+
+/**
+ * Tagged template that escapes every interpolation unless it is SafeHTML.
+ * @returns {SafeHTML}
+ */
+export function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, string, i) => markup + toMarkup(values[i - 1]) + string));
+}
+
+/**
+ * Only lets http(s), relative and data:image URLs through, for use in `src`
+ * and `href` attributes. Anything else (e.g. `javascript:`) becomes an empty string.
+ * @param {string} url - The URL to check.
+ * @returns {string}
+ */
+export function safeUrl(url = '') {
+    const value = String(url).trim();
+    return /^(https?:|data:image\/|\/|\.{0,2}\/|[^:]*$)/i.test(value) ? value : '';
+}
+
+/**
+ * Replaces an element's content with a template.
+ * Refuses plain strings, so unescaped markup can't slip in by accident.
+ * @param {Element} element - The element to fill.
+ * @param {SafeHTML} template - Markup built with `html` or `raw`.
+ */
+export function render(element, template) {
+    if (!(template instanceof SafeHTML)) {
+        throw new TypeError('render() expects markup built with html`...` or raw()');
+    }
+    element.innerHTML = template.markup;
+}
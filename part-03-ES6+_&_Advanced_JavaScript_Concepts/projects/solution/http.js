@@ -0,0 +1,45 @@
+/**
+ * http.js
+ * This module provides the HttpClient every network request of the app goes
+ * through: a base URL and default headers, a timeout per attempt, retries with
+ * exponential backoff and jitter, request/response interceptors, an optional
+ * circuit breaker, and reading the body as JSON, text or a Blob depending on
+ * its Content-Type.
+ *
+ * The client itself is Part 4's examples/http-client.js (with the
+ * cancellation.js it builds on), not a copy of it. In the browser, index.html
+ * loads those two files as classic scripts before the app's modules, so their
+ * classes are globals; in Node (the tests) they are CommonJS modules, and are
+ * imported. Either way, this module hands them on under the usual names.
+ *
+ *   const client = new HttpClient({ baseUrl: 'https://example.com/api/', retry: { retries: 2 } });
+ *   const data = await client.get('search.php', { query: { s: 'pie' }, signal });
+ */
+
+const shared = typeof HttpClient === 'function'
+    ? { HttpClient, RequestError, NetworkError, TimeoutError, HttpError, ParseError, AbortError, isClientError }
+    : (await import('../../../part-04-asynchronous-javascript/examples/http-client.js')).default;
+
+// Exported under new local names: an `export const HttpClient` here would hide
+// the global that the check above looks for.
+const {
+    HttpClient: Client,
+    RequestError: SharedRequestError,
+    NetworkError: SharedNetworkError,
+    TimeoutError: SharedTimeoutError,
+    HttpError: SharedHttpError,
+    ParseError: SharedParseError,
+    AbortError: SharedAbortError,
+    isClientError: sharedIsClientError
+} = shared;
+
+export {
+    Client as HttpClient,
+    SharedRequestError as RequestError,
+    SharedNetworkError as NetworkError,
+    SharedTimeoutError as TimeoutError,
+    SharedHttpError as HttpError,
+    SharedParseError as ParseError,
+    SharedAbortError as AbortError,
+    sharedIsClientError as isClientError
+};
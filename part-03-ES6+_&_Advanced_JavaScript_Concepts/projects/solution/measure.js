@@ -0,0 +1,342 @@
+/**
+ * measure.js
+ * This module understands ingredient measures such as "1 1/2 cups", "200g",
+ * "½ tsp", "1 lb 2 oz" or "2-3 tbs chopped", so they can be scaled to a
+ * different number of servings and converted between metric and imperial units.
+ *
+ *   parseMeasure('1 1/2 cups')                      → { min: 1.5, max: 1.5, unit: 'cup', ... }
+ *   adjustMeasure('1 1/2 cups', { factor: 2 })      → '3 cups'
+ *   adjustMeasure('8 oz', { system: 'metric' })     → '225 g'
+ *
+ * Measures the parser doesn't recognise ("pinch", "to taste") are always
+ * returned exactly as written.
+ */
+
+const UNICODE_FRACTIONS = {
+    '¼': 1 / 4, '½': 1 / 2, '¾': 3 / 4,
+    '⅓': 1 / 3, '⅔': 2 / 3,
+    '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5,
+    '⅙': 1 / 6, '⅚': 5 / 6,
+    '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join('');
+
+// One number: "1 1/2", "1½", "1/2", "1.5", "1,5" or "½"
+const NUMBER = `\\d+\\s+\\d+\\s*\\/\\s*\\d+|\\d+\\s*[${FRACTION_CHARS}]|\\d+\\s*\\/\\s*\\d+|\\d+(?:[.,]\\d+)?|[${FRACTION_CHARS}]`;
+// A number or a range ("1-2", "1–2", "1 to 2"), followed by the rest of the measure
+const MEASURE_PATTERN = new RegExp(`^(${NUMBER})(?:\\s*(?:-|–|—|to)\\s*(${NUMBER}))?\\s*(.*)$`, 'i');
+
+/**
+ * The units we can convert. `size` is in grams for mass and millilitres for volume.
+ * `aliases` lists the spellings found in recipes, matched case-insensitively.
+ */
+const UNITS = {
+    g: { type: 'mass', system: 'metric', size: 1, aliases: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'] },
+    kg: { type: 'mass', system: 'metric', size: 1000, aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+    ml: { type: 'volume', system: 'metric', size: 1, aliases: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'] },
+    l: { type: 'volume', system: 'metric', size: 1000, aliases: ['l', 'litre', 'litres', 'liter', 'liters'] },
+    oz: { type: 'mass', system: 'imperial', size: 28.3495, aliases: ['oz', 'ounce', 'ounces'] },
+    lb: { type: 'mass', system: 'imperial', size: 453.592, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+    tsp: { type: 'volume', system: 'imperial', size: 4.92892, aliases: ['tsp', 'tsps', 'teaspoon', 'teaspoons'] },
+    tbsp: { type: 'volume', system: 'imperial', size: 14.7868, aliases: ['tbsp', 'tbsps', 'tbs', 'tbls', 'tblsp', 'tablespoon', 'tablespoons'] },
+    'fl oz': { type: 'volume', system: 'imperial', size: 29.5735, aliases: ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'] },
+    cup: { type: 'volume', system: 'imperial', size: 236.588, plural: 'cups', aliases: ['cup', 'cups'] },
+    pint: { type: 'volume', system: 'imperial', size: 473.176, plural: 'pints', aliases: ['pint', 'pints', 'pt'] },
+    quart: { type: 'volume', system: 'imperial', size: 946.353, plural: 'quarts', aliases: ['quart', 'quarts', 'qt'] },
+    gallon: { type: 'volume', system: 'imperial', size: 3785.41, plural: 'gallons', aliases: ['gallon', 'gallons', 'gal'] }
+};
+
+// Every alias, longest first so "fl oz" wins over "oz"; a unit must not run into
+// another word, so the "l" in "large" isn't read as litres
+const UNIT_PATTERN = new RegExp(`^(${
+    Object.values(UNITS)
+        .flatMap(unit => unit.aliases)
+        .sort((a, b) => b.length - a.length)
+        .map(alias => alias.replace(/[.]/g, '\\.').replace(/ /g, '\\s*'))
+        .join('|')
+})\\.?(?![a-z])\\s*(.*)$`, 'i');
+
+/**
+ * Looks up the unit an alias belongs to.
+ * @param {string} text - e.g. "Tbs" or "fl. oz".
+ * @returns {string|null} The key in UNITS.
+ */
+function unitKey(text) {
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+    return Object.keys(UNITS).find(key => UNITS[key].aliases.includes(normalized)) || null;
+}
+
+/**
+ * Parses a single number, e.g. "1 1/2", "1½", "3/4", "0,5" or "⅓".
+ * @param {string} text - The number as written.
+ * @returns {number|null} The value, or null if it isn't a number we understand.
+ */
+export function parseQuantity(text = '') {
+    const value = text.trim();
+    let match;
+
+    if ((match = value.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)$/))) {
+        return match[3] === '0' ? null : Number(match[1]) + Number(match[2]) / Number(match[3]);
+    }
+    if ((match = value.match(new RegExp(`^(\\d*)\\s*([${FRACTION_CHARS}])$`)))) {
+        return Number(match[1] || 0) + UNICODE_FRACTIONS[match[2]];
+    }
+    if ((match = value.match(/^(\d+)\s*\/\s*(\d+)$/))) {
+        return match[2] === '0' ? null : Number(match[1]) / Number(match[2]);
+    }
+    if (/^\d+(?:[.,]\d+)?$/.test(value)) {
+        return Number(value.replace(',', '.'));
+    }
+    return null;
+}
+
+/**
+ * Parses a measure into its amount, unit and any trailing words.
+ * @param {string} measure - e.g. "2-3 tbs chopped".
+ * @returns {{amount: string, min: number, max: number, unit: string|null, unitText: string, note: string}|null}
+ *     `amount` is the number or range as written, e.g. "2-3".
+ *     `unit` is a key of UNITS when the unit is known (so it can be converted),
+ *     otherwise `unitText` holds whatever followed the number (e.g. "large").
+ *     A compound amount such as "1 lb 2 oz" counts as one, in the first unit (1.125 lb).
+ *     Returns null when the measure doesn't start with an amount.
+ */
+export function parseMeasure(measure = '') {
+    const match = measure.trim().match(MEASURE_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const min = parseQuantity(match[1]);
+    const max = match[2] ? parseQuantity(match[2]) : min;
+    if (min === null || max === null) {
+        return null;
+    }
+
+    const amount = match[0].slice(0, match[0].length - match[3].length).trim();
+    const rest = match[3].trim();
+    const unitMatch = rest.match(UNIT_PATTERN);
+    if (!unitMatch) {
+        return { amount, min, max, unit: null, unitText: '', note: rest };
+    }
+
+    const unit = unitKey(unitMatch[1]);
+    let total = min;
+    let note = unitMatch[2];
+    // "1 lb 2 oz" is one amount: add each further part in a unit of the same kind
+    let part;
+    while (min === max && (part = compoundPart(note, unit))) {
+        total += part.value * UNITS[part.unit].size / UNITS[unit].size;
+        note = part.rest;
+    }
+    // Drop an alternative measure such as the "/7oz" in "200g/7oz" or "(7 oz)";
+    // it would be wrong once the amount changes
+    note = note.replace(/^(\/\S+|\([^)]*\))\s*/, '').trim();
+    return min === max
+        ? { amount, min: total, max: total, unit, unitText: unitMatch[1], note }
+        : { amount, min, max, unit, unitText: unitMatch[1], note };
+}
+
+/**
+ * Reads the next part of a compound amount, such as the "2 oz" in "1 lb 2 oz".
+ * @param {string} text - What follows the previous part.
+ * @param {string} unit - The first part's unit, a key of UNITS.
+ * @returns {{value: number, unit: string, rest: string}|null} Null unless the text
+ *     starts with a single number and a unit of the same type (mass or volume).
+ */
+function compoundPart(text, unit) {
+    const match = text.match(new RegExp(`^(${NUMBER})\\s*(.*)$`));
+    const unitMatch = match?.[2].match(UNIT_PATTERN);
+    const partUnit = unitMatch && unitKey(unitMatch[1]);
+    const value = match && parseQuantity(match[1]);
+    if (!partUnit || value === null || UNITS[partUnit].type !== UNITS[unit].type) {
+        return null;
+    }
+    return { value, unit: partUnit, rest: unitMatch[2] };
+}
+
+
+/**
+ * Picks the unit of a system that reads best for an amount.
+ * @param {string} type - 'mass' or 'volume'.
+ * @param {string} system - 'metric' or 'imperial'.
+ * @param {number} base - The amount in grams or millilitres.
+ * @returns {string} A key of UNITS.
+ */
+function bestUnit(type, system, base) {
+    if (system === 'metric') {
+        if (type === 'mass') return base >= 1000 ? 'kg' : 'g';
+        return base >= 1000 ? 'l' : 'ml';
+    }
+    if (type === 'mass') return base >= UNITS.lb.size ? 'lb' : 'oz';
+    if (base < UNITS.tbsp.size) return 'tsp';
+    return base < UNITS.cup.size / 4 ? 'tbsp' : 'cup';
+}
+
+/**
+ * Multiplies the amount of a parsed measure, e.g. to cook for more people.
+ * A known unit may change to one that reads better in the same system,
+ * e.g. a quarter of "1 kg" is "250 g".
+ * @param {Object} parsed - A result of parseMeasure.
+ * @param {number} factor - e.g. 2 to double the recipe.
+ * @returns {Object} A new parsed measure.
+ */
+export function scaleMeasure(parsed, factor) {
+    const from = UNITS[parsed.unit];
+    if (!from) {
+        return { ...parsed, min: parsed.min * factor, max: parsed.max * factor };
+    }
+
+    const unit = bestUnit(from.type, from.system, parsed.max * factor * from.size);
+    const size = from.size / UNITS[unit].size;
+    return {
+        ...parsed,
+        min: parsed.min * factor * size,
+        max: parsed.max * factor * size,
+        unit,
+        // Keep the unit as the recipe wrote it while it stays the same
+        unitText: unit === parsed.unit ? parsed.unitText : unit
+    };
+}
+
+/**
+ * Converts a parsed measure to metric or imperial units.
+ * Measures without a known unit, or already in that system, are returned unchanged.
+ * @param {Object} parsed - A result of parseMeasure.
+ * @param {'metric'|'imperial'} system - The system to convert to.
+ * @returns {Object} A new parsed measure.
+ */
+export function convertMeasure(parsed, system) {
+    const from = UNITS[parsed.unit];
+    if (!from || from.system === system) {
+        return parsed;
+    }
+
+    const unit = bestUnit(from.type, system, parsed.max * from.size);
+    const factor = from.size / UNITS[unit].size;
+    return { ...parsed, min: parsed.min * factor, max: parsed.max * factor, unit, unitText: unit };
+}
+
+/**
+ * Writes a decimal amount the way a metric recipe would: round numbers for
+ * larger amounts, halves for small ones, two decimals below 1.
+ */
+function formatDecimal(value) {
+    if (value >= 100) return String(Math.round(value / 5) * 5);
+    if (value >= 10) return String(Math.round(value));
+    if (value >= 1) return String(Math.round(value * 2) / 2);
+    return String(Number(value.toFixed(2)));
+}
+
+/**
+ * Writes an amount as a whole number plus the nearest everyday fraction,
+ * e.g. 1.5 → "1 1/2" and 0.33 → "1/3", like imperial recipes do.
+ */
+function formatFraction(value) {
+    if (value >= 10) return String(Math.round(value));
+
+    const fractions = [[0, ''], [1 / 8, '1/8'], [1 / 4, '1/4'], [1 / 3, '1/3'], [3 / 8, '3/8'], [1 / 2, '1/2'],
+        [5 / 8, '5/8'], [2 / 3, '2/3'], [3 / 4, '3/4'], [7 / 8, '7/8'], [1, '']];
+    let whole = Math.floor(value);
+    const [fraction, label] = fractions.reduce((best, candidate) =>
+        Math.abs(candidate[0] - (value - whole)) < Math.abs(best[0] - (value - whole)) ? candidate : best);
+    if (fraction === 1) whole += 1;
+
+    if (whole === 0 && !label) return value > 0 ? '1/8' : '0'; // Never round a real amount down to nothing
+    return [whole || '', label].filter(Boolean).join(' ');
+}
+
+/**
+ * Turns a parsed measure back into text.
+ * @param {Object} parsed - A result of parseMeasure.
+ * @returns {string}
+ */
+export function formatMeasure({ min, max, unit, unitText, note }) {
+    const info = UNITS[unit];
+    const format = info?.system === 'metric' ? formatDecimal : formatFraction;
+    const amount = format(min) === format(max) ? format(min) : `${format(min)}-${format(max)}`;
+    // "1 cup" and "1/2 cup", but "1 1/2 cups"
+    const singular = /^(1|\d+\/\d+)$/.test(format(max));
+    // An abbreviation keeps its spelling, e.g. "L" or "Tbsp"; words such as
+    // "teaspoons" become the abbreviation, as their number may have changed
+    const written = unitText?.toLowerCase() === unit && !info?.plural;
+    const unitLabel = info && !written ? (!singular && info.plural) || unit : unitText;
+    return [amount, unitLabel, note].filter(Boolean).join(' ');
+}
+
+/**
+ * Adds two parsed measures together, if their units allow it: any two masses or
+ * any two volumes (the result uses the first measure's system), or two plain
+ * counts such as "2 large" and "1 large". Their notes must match too, so
+ * "1 cup chopped" and "1 cup melted" stay apart rather than losing the word.
+ * @param {Object} a - A result of parseMeasure.
+ * @param {Object} b - Another result of parseMeasure.
+ * @returns {Object|null} The sum, or null when the units or notes don't match.
+ */
+export function combineMeasures(a, b) {
+    const unitA = UNITS[a.unit];
+    const unitB = UNITS[b.unit];
+    if (a.note.toLowerCase() !== b.note.toLowerCase()) {
+        return null;
+    }
+
+    if (unitA && unitB) {
+        if (unitA.type !== unitB.type) {
+            return null;
+        }
+        const min = a.min * unitA.size + b.min * unitB.size;
+        const max = a.max * unitA.size + b.max * unitB.size;
+        const unit = bestUnit(unitA.type, unitA.system, max);
+        return { min: min / UNITS[unit].size, max: max / UNITS[unit].size, unit, unitText: unit, note: a.note };
+    }
+    if (!unitA && !unitB && a.unitText.toLowerCase() === b.unitText.toLowerCase()) {
+        return { ...a, min: a.min + b.min, max: a.max + b.max };
+    }
+    return null;
+}
+
+/**
+ * Merges a list of measures for the same ingredient, e.g. from several recipes.
+ * Compatible measures are added up; the rest are kept side by side.
+ * @param {Array<string>} measures - Measures as written, e.g. ["1 cup", "120 ml", "pinch"].
+ * @returns {Array<string>} e.g. ["1 1/2 cups", "pinch"].
+ */
+export function mergeMeasures(measures) {
+    const merged = [];
+
+    measures.filter(Boolean).forEach(measure => {
+        const parsed = parseMeasure(measure);
+        const match = parsed && merged.find(entry => entry.parsed && combineMeasures(entry.parsed, parsed));
+        if (match) {
+            match.parsed = combineMeasures(match.parsed, parsed);
+            match.text = null; // No longer as written
+        } else if (parsed || !merged.some(entry => entry.text === measure)) {
+            merged.push({ parsed, text: measure });
+        }
+    });
+    return merged.map(({ parsed, text }) => text ?? formatMeasure(parsed));
+}
+
+/**
+ * Scales and/or converts a measure, leaving anything unrecognised as written.
+ * @param {string} measure - The measure as written in the recipe.
+ * @param {Object} [options]
+ * @param {number} [options.factor=1] - Multiplies the amount.
+ * @param {'metric'|'imperial'|null} [options.system=null] - Converts to this system.
+ * @returns {string}
+ */
+export function adjustMeasure(measure, { factor = 1, system = null } = {}) {
+    const parsed = parseMeasure(measure);
+    if (!parsed) {
+        return measure;
+    }
+    const converts = Boolean(system && UNITS[parsed.unit] && UNITS[parsed.unit].system !== system);
+    if (factor === 1 && !converts) {
+        return measure; // Nothing changes, so keep the original wording
+    }
+
+    let result = scaleMeasure(parsed, factor);
+    if (converts) {
+        result = convertMeasure(result, system);
+    }
+    return formatMeasure(result);
+}
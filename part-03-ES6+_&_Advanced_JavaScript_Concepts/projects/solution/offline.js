@@ -0,0 +1,41 @@
+/**
+ * offline.js
+ * This module registers the service worker (see sw.js), which caches the app
+ * and its data for offline use, and reports when the connection drops or
+ * comes back.
+ */
+
+/**
+ * Registers the service worker, if the browser supports it.
+ * The page works the same without one; it just needs the network.
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return null;
+    }
+    try {
+        // Resolved next to this module, so the worker's scope is the app's folder
+        return await navigator.serviceWorker.register(new URL('sw.js', import.meta.url));
+    } catch (error) {
+        console.error("Service worker registration failed:", error);
+        return null;
+    }
+}
+
+/**
+ * Calls a listener with the current connection state, and again whenever it changes.
+ * @param {Function} listener - Called with `true` when online, `false` when offline.
+ * @returns {Function} A function that stops listening.
+ */
+export function watchConnection(listener) {
+    const notify = () => listener(navigator.onLine);
+    window.addEventListener('online', notify);
+    window.addEventListener('offline', notify);
+    notify();
+
+    return () => {
+        window.removeEventListener('online', notify);
+        window.removeEventListener('offline', notify);
+    };
+}
@@ -0,0 +1,211 @@
+/**
+ * planner.js
+ * This module keeps a weekly meal plan: one recipe per day and meal, e.g.
+ * "Monday, Dinner". The plan is kept in localStorage, and every change can be
+ * undone and redone during the session.
+ * Only a small summary of each recipe (ID, name, thumbnail) is stored; the full
+ * details are fetched through the APIManager when they are needed.
+ */
+
+export const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+export const MEALS = ['Breakfast', 'Lunch', 'Dinner'];
+
+const STORAGE_KEY = 'recipe-finder:meal-plan';
+const SCHEMA_VERSION = 1;
+// How many changes can be undone
+const HISTORY_LIMIT = 50;
+
+/**
+ * Builds the key of a slot in the plan.
+ * @param {string} day - One of DAYS.
+ * @param {string} meal - One of MEALS.
+ * @returns {string} e.g. "Monday:Dinner".
+ */
+export function slotKey(day, meal) {
+    return `${day}:${meal}`;
+}
+
+export class MealPlanner {
+    constructor(storageKey = STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.slots = this.load();
+        // Snapshots of `slots` before each change, and of changes that were undone
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Keep several open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.slots = this.load();
+                this.notify();
+            }
+        });
+    }
+
+    /**
+     * Reads the plan from localStorage.
+     * @returns {Object<string, {id: string, name: string, thumbnail: string}>} Recipes keyed by slot.
+     */
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            if (raw) {
+                const data = JSON.parse(raw);
+                if (data.version > SCHEMA_VERSION) {
+                    throw new Error(`The meal plan was saved by a newer version of the app (schema ${data.version})`);
+                }
+                return data.slots;
+            }
+        } catch (error) {
+            console.error("Could not load the meal plan:", error);
+        }
+        return {};
+    }
+
+    /**
+     * Writes the plan to localStorage and notifies listeners.
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: SCHEMA_VERSION, slots: this.slots }));
+        } catch (error) {
+            console.error("Could not save the meal plan:", error);
+        }
+        this.notify();
+    }
+
+    /**
+     * Applies a change to the plan, recording the previous state for undo.
+     * @param {Function} change - Receives a copy of the slots and modifies it.
+     */
+    update(change) {
+        const next = { ...this.slots };
+        change(next);
+        this.undoStack.push(this.slots);
+        if (this.undoStack.length > HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.slots = next;
+        this.save();
+    }
+
+    /**
+     * @param {string} key - A slot key (see slotKey).
+     * @returns {{id: string, name: string, thumbnail: string}|null} The recipe planned there.
+     */
+    get(key) {
+        return this.slots[key] || null;
+    }
+
+    /**
+     * Plans a recipe for a slot, replacing whatever was there.
+     * @param {string} key - A slot key (see slotKey).
+     * @param {Recipe|Object} recipe - The recipe, or at least its id, name and thumbnail.
+     */
+    set(key, { id, name, thumbnail = '' }) {
+        this.update(slots => {
+            slots[key] = { id: String(id), name, thumbnail };
+        });
+    }
+
+    /**
+     * Moves a planned recipe to another slot. If that slot is taken, the two swap.
+     * @param {string} from - The slot key to move from.
+     * @param {string} to - The slot key to move to.
+     */
+    move(from, to) {
+        if (from === to || !this.slots[from]) return;
+        this.update(slots => {
+            const target = slots[to];
+            slots[to] = slots[from];
+            if (target) {
+                slots[from] = target;
+            } else {
+                delete slots[from];
+            }
+        });
+    }
+
+    /**
+     * Empties one slot.
+     * @param {string} key - A slot key (see slotKey).
+     */
+    remove(key) {
+        if (!this.slots[key]) return;
+        this.update(slots => {
+            delete slots[key];
+        });
+    }
+
+    /**
+     * Empties the whole week.
+     */
+    clear() {
+        this.update(slots => {
+            Object.keys(slots).forEach(key => delete slots[key]);
+        });
+    }
+
+    /**
+     * @returns {boolean} Whether there is a change to undo.
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether there is an undone change to redo.
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Reverts the last change.
+     */
+    undo() {
+        if (!this.canUndo) return;
+        this.redoStack.push(this.slots);
+        this.slots = this.undoStack.pop();
+        this.save();
+    }
+
+    /**
+     * Re-applies the last undone change.
+     */
+    redo() {
+        if (!this.canRedo) return;
+        this.undoStack.push(this.slots);
+        this.slots = this.redoStack.pop();
+        this.save();
+    }
+
+    /**
+     * Lists every planned recipe, once per slot it appears in, in calendar order.
+     * @returns {Array<{id: string, name: string, thumbnail: string}>}
+     */
+    plannedRecipes() {
+        return DAYS.flatMap(day => MEALS.map(meal => this.slots[slotKey(day, meal)])).filter(Boolean);
+    }
+
+    /**
+     * Registers a callback that runs whenever the plan changes.
+     * @param {Function} listener - Called with the planner.
+     * @returns {Function} A function that removes the listener.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Export a single, shared instance, like the favorites store.
+export default new MealPlanner();
@@ -0,0 +1,326 @@
+/**
+ * providers.js
+ * This module contains the data sources that can back the APIManager.
+ * Every provider exposes the same methods, each accepting `{ signal }` as its
+ * last argument:
+ *   - `search(term)` and `getById(id)` for name search and lookup,
+ *   - `list(kind)` for the available categories, areas or ingredients,
+ *   - `filter(kind, value)` for the recipes in one category, area or with one ingredient.
+ * Each provider maps its own payload into Recipe instances (see recipe.js).
+ * This lets the rest of the app work the same way whether the data comes from
+ * TheMealDB, a local JSON fixture file, or an in-memory store.
+ */
+
+import { Recipe, splitMeasure, splitInstructions } from './recipe.js';
+import { ParseError } from './errors.js';
+import { HttpClient } from './http.js';
+
+/**
+ * Maps a raw TheMealDB meal object into a Recipe.
+ * TheMealDB stores ingredients in numbered fields (`strIngredient1`..`strIngredient20`),
+ * so we collect every non-empty pair instead of stopping at the first gap.
+ * @param {Object} meal - A meal object as returned by TheMealDB.
+ * @returns {Recipe}
+ */
+export function mapMealToRecipe(meal) {
+    const ingredients = [];
+    for (let i = 1; i <= 20; i++) {
+        const name = (meal[`strIngredient${i}`] || '').trim();
+        if (name) {
+            ingredients.push({ name, ...splitMeasure(meal[`strMeasure${i}`] || '') });
+        }
+    }
+
+    return new Recipe({
+        id: meal.idMeal,
+        name: meal.strMeal,
+        thumbnail: meal.strMealThumb,
+        category: meal.strCategory || '',
+        area: meal.strArea || '',
+        tags: (meal.strTags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+        steps: splitInstructions(meal.strInstructions || ''),
+        ingredients
+    });
+}
+
+/**
+ * Reads TheMealDB's `{ meals: [...] }` envelope, which uses `null` for "no results".
+ * @param {Object} data - The parsed JSON payload.
+ * @returns {Array<Object>} The raw meal objects.
+ * @throws {ParseError} If the payload has a different shape.
+ */
+function mealsOf(data) {
+    if (!data || typeof data !== 'object' || !('meals' in data)) {
+        throw new ParseError('Expected a response of the form { meals: [...] }');
+    }
+    return data.meals || [];
+}
+
+/**
+ * Maps TheMealDB's `{ meals: [...] }` envelope into Recipes.
+ * @param {Object} data - The parsed JSON payload.
+ * @returns {Array<Recipe>}
+ */
+function mapMealList(data) {
+    return mealsOf(data).map(mapMealToRecipe);
+}
+
+/**
+ * How TheMealDB names things for each filter kind: the query parameter used by
+ * list.php/filter.php, and the field that holds the name in list.php results.
+ */
+const MEALDB_FILTERS = {
+    category: { param: 'c', field: 'strCategory' },
+    area: { param: 'a', field: 'strArea' },
+    ingredient: { param: 'i', field: 'strIngredient' }
+};
+
+/**
+ * Looks up the TheMealDB naming for a filter kind.
+ * @param {string} kind - 'category', 'area' or 'ingredient'.
+ */
+function mealDBFilter(kind) {
+    const filter = MEALDB_FILTERS[kind];
+    if (!filter) {
+        throw new Error(`Unknown filter kind: ${kind}`);
+    }
+    return filter;
+}
+
+/**
+ * Fetches recipes from the live TheMealDB API.
+ */
+export class MealDBProvider {
+    /**
+     * @param {string} [baseUrl] - The API root.
+     * @param {Object} [options]
+     * @param {HttpClient} [options.http] - The client to send requests with. By default,
+     *   every request gets two retries, as the free API occasionally drops one.
+     */
+    constructor(baseUrl = 'https://www.themealdb.com/api/json/v1/1/', { http } = {}) {
+        this.baseUrl = baseUrl;
+        this.http = http || new HttpClient({ baseUrl, retry: { retries: 2 } });
+    }
+
+    /**
+     * Requests a path from the API and returns the parsed JSON body.
+     * @param {string} path - The endpoint path including its query string.
+     * @param {AbortSignal} [signal] - Cancels the request when aborted.
+     * @returns {Promise<Object>} The parsed response body.
+     */
+    request(path, signal) {
+        // Always JSON, whatever Content-Type the server claims
+        return this.http.get(path, { signal, responseType: 'json' });
+    }
+
+    async search(term, { signal } = {}) {
+        const data = await this.request(`search.php?s=${encodeURIComponent(term)}`, signal);
+        return mapMealList(data);
+    }
+
+    async getById(id, { signal } = {}) {
+        const data = await this.request(`lookup.php?i=${encodeURIComponent(id)}`, signal);
+        return mapMealList(data)[0] || null;
+    }
+
+    async list(kind, { signal } = {}) {
+        const { param, field } = mealDBFilter(kind);
+        const data = await this.request(`list.php?${param}=list`, signal);
+        return mealsOf(data).map(item => item[field]).filter(Boolean);
+    }
+
+    /**
+     * Note: filter.php only returns the ID, name and thumbnail of each meal,
+     * so these recipes have no ingredients or steps until looked up by ID.
+     */
+    async filter(kind, value, { signal } = {}) {
+        const { param } = mealDBFilter(kind);
+        // Multi-word ingredients use underscores in the API, e.g. "chicken_breast"
+        const query = kind === 'ingredient' ? value.trim().replace(/\s+/g, '_') : value;
+        const data = await this.request(`filter.php?${param}=${encodeURIComponent(query)}`, signal);
+        return mapMealList(data);
+    }
+}
+
+/**
+ * Serves recipes from a local JSON file saved in TheMealDB's format.
+ * The file is loaded once and then searched locally, so no network access is
+ * needed beyond the page itself. Useful for offline demos.
+ */
+export class FixtureProvider {
+    /**
+     * @param {string} [url] - Where the fixture file is.
+     * @param {Object} [options]
+     * @param {HttpClient} [options.http] - The client to load it with.
+     */
+    constructor(url = 'fixtures/meals.json', { http = new HttpClient() } = {}) {
+        this.url = url;
+        this.http = http;
+        // The load in progress or done, shared by every call; null until the first one
+        this.loading = null;
+    }
+
+    /**
+     * Loads and maps the fixture file on first use. Calls made meanwhile wait
+     * for the same load, and a failed load is tried again by the next call.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting. The load itself carries on,
+     *   as other calls may be waiting for it too.
+     * @returns {Promise<Array<Recipe>>} All recipes in the fixture.
+     */
+    load({ signal } = {}) {
+        if (!this.loading) {
+            this.loading = this.http.get(this.url, { responseType: 'json' })
+                .then(mapMealList)
+                .catch(error => {
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return untilAborted(this.loading, signal);
+    }
+
+    async search(term, { signal } = {}) {
+        const recipes = await this.load({ signal });
+        return filterByName(recipes, term);
+    }
+
+    async getById(id, { signal } = {}) {
+        const recipes = await this.load({ signal });
+        return recipes.find(recipe => recipe.id === String(id)) || null;
+    }
+
+    async list(kind, { signal } = {}) {
+        const recipes = await this.load({ signal });
+        return listValues(recipes, kind);
+    }
+
+    async filter(kind, value, { signal } = {}) {
+        const recipes = await this.load({ signal });
+        return filterByValue(recipes, kind, value);
+    }
+}
+
+/**
+ * Keeps recipes in memory. Handy for tests, where the data can be set up in
+ * code without any file or network access.
+ */
+export class MemoryProvider {
+    constructor(recipes = []) {
+        this.recipes = new Map();
+        recipes.forEach(recipe => this.add(recipe));
+    }
+
+    /**
+     * Adds or replaces a recipe in the store.
+     * @param {Recipe|Object} recipe - A Recipe, or plain data to build one from.
+     */
+    add(recipe) {
+        const entry = Recipe.from(recipe);
+        this.recipes.set(entry.id, entry);
+    }
+
+    async search(term, { signal } = {}) {
+        signal?.throwIfAborted();
+        return filterByName([...this.recipes.values()], term);
+    }
+
+    async getById(id, { signal } = {}) {
+        signal?.throwIfAborted();
+        return this.recipes.get(String(id)) || null;
+    }
+
+    async list(kind, { signal } = {}) {
+        signal?.throwIfAborted();
+        return listValues([...this.recipes.values()], kind);
+    }
+
+    async filter(kind, value, { signal } = {}) {
+        signal?.throwIfAborted();
+        return filterByValue([...this.recipes.values()], kind, value);
+    }
+}
+
+/**
+ * Waits for a promise, but rejects as soon as the signal aborts.
+ * @param {Promise} promise - Work that others may be waiting for too.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise
+            .finally(() => signal.removeEventListener('abort', onAbort))
+            .then(resolve, reject);
+    });
+}
+
+/**
+ * Case-insensitive name match, mirroring how TheMealDB's search behaves.
+ * @param {Array<Recipe>} recipes - Recipes to search.
+ * @param {string} term - The search term.
+ * @returns {Array<Recipe>} The matching recipes.
+ */
+function filterByName(recipes, term) {
+    const needle = term.toLowerCase();
+    return recipes.filter(recipe => recipe.name.toLowerCase().includes(needle));
+}
+
+/**
+ * Reads the values a recipe has for a filter kind.
+ * @param {Recipe} recipe - The recipe.
+ * @param {string} kind - 'category', 'area' or 'ingredient'.
+ * @returns {Array<string>}
+ */
+function valuesOf(recipe, kind) {
+    switch (kind) {
+        case 'category':
+            return recipe.category ? [recipe.category] : [];
+        case 'area':
+            return recipe.area ? [recipe.area] : [];
+        case 'ingredient':
+            return recipe.ingredients.map(ingredient => ingredient.name);
+        default:
+            throw new Error(`Unknown filter kind: ${kind}`);
+    }
+}
+
+/**
+ * Collects the distinct values of a filter kind, sorted alphabetically.
+ * Used by the local providers to mimic TheMealDB's list.php.
+ */
+function listValues(recipes, kind) {
+    const values = new Set(recipes.flatMap(recipe => valuesOf(recipe, kind)));
+    return [...values].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Keeps the recipes that have `value` for a filter kind (case-insensitive).
+ * Used by the local providers to mimic TheMealDB's filter.php.
+ */
+function filterByValue(recipes, kind, value) {
+    const needle = value.trim().toLowerCase();
+    return recipes.filter(recipe => valuesOf(recipe, kind).some(v => v.toLowerCase() === needle));
+}
+
+/**
+ * Creates a provider by name. Used by the app to pick a data source at startup.
+ * @param {string} [name='mealdb'] - One of 'mealdb', 'fixture' or 'memory'.
+ * @returns {Object} A provider instance.
+ */
+export function createProvider(name = 'mealdb') {
+    switch (name) {
+        case 'fixture':
+            return new FixtureProvider();
+        case 'memory':
+            return new MemoryProvider();
+        case 'mealdb':
+            return new MealDBProvider();
+        default:
+            throw new Error(`Unknown data source: ${name}`);
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * recipe.js
+ * This module defines the Recipe domain model used throughout the app.
+ * Providers map their raw payloads into Recipe instances, so the UI and the
+ * controller never need to know which API field names the data came from.
+ */
+
+import { parseMeasure } from './measure.js';
+
+export class Recipe {
+    /**
+     * @param {Object} data
+     * @param {string} data.id - Unique recipe ID.
+     * @param {string} data.name - Display name.
+     * @param {string} [data.thumbnail] - Image URL.
+     * @param {string} [data.category] - e.g. "Chicken" or "Dessert".
+     * @param {string} [data.area] - Cuisine, e.g. "Italian".
+     * @param {Array<string>} [data.tags] - Free-form tags.
+     * @param {Array<string>} [data.steps] - The instructions, one step per entry.
+     * @param {Array<{name: string, quantity: string, unit: string}>} [data.ingredients]
+     */
+    constructor({ id, name, thumbnail = '', category = '', area = '', tags = [], steps = [], ingredients = [] }) {
+        this.id = String(id);
+        this.name = name;
+        this.thumbnail = thumbnail;
+        this.category = category;
+        this.area = area;
+        this.tags = [...tags];
+        this.steps = [...steps];
+        this.ingredients = ingredients.map(({ name, quantity = '', unit = '' }) => ({ name, quantity, unit }));
+    }
+
+    /**
+     * The full instructions as a single block of text.
+     * @returns {string}
+     */
+    get instructions() {
+        return this.steps.join('\n');
+    }
+
+    /**
+     * Recreates a Recipe from plain data, e.g. an object read back from JSON.
+     * Passing an existing Recipe returns it unchanged.
+     * @param {Object} data - A Recipe or a plain object with the same fields.
+     * @returns {Recipe}
+     */
+    static from(data) {
+        return data instanceof Recipe ? data : new Recipe(data);
+    }
+
+    /**
+     * Returns a plain object suitable for JSON.stringify.
+     * @returns {Object}
+     */
+    toJSON() {
+        const { id, name, thumbnail, category, area, tags, steps, ingredients } = this;
+        return { id, name, thumbnail, category, area, tags, steps, ingredients };
+    }
+}
+
+/**
+ * Joins an ingredient's quantity and unit back into a single measure, e.g. "1 1/2 cups".
+ * @param {{quantity: string, unit: string}} ingredient - One of a Recipe's ingredients.
+ * @returns {string}
+ */
+export function measureOf({ quantity, unit }) {
+    return [quantity, unit].filter(Boolean).join(' ');
+}
+
+/**
+ * Splits a measure like "1 1/2 cups", "200g" or "2-3 tbs" into its quantity and
+ * unit, using the same grammar as the scaling code (see measure.js).
+ * Anything without a leading number (e.g. "pinch") is treated as a unit only.
+ * @param {string} measure - The raw measure text.
+ * @returns {{quantity: string, unit: string}}
+ */
+export function splitMeasure(measure = '') {
+    const text = measure.trim();
+    const parsed = parseMeasure(text);
+    if (!parsed) {
+        return { quantity: '', unit: text };
+    }
+    return { quantity: parsed.amount.replace(/\s+/g, ' '), unit: text.slice(parsed.amount.length).trim() };
+}
+
+/**
+ * Splits a block of instructions into individual steps.
+ * Blank lines and "STEP 1"-style headings are dropped, and leading numbering
+ * such as "1." or "2)" is removed.
+ * @param {string} text - The raw instructions.
+ * @returns {Array<string>}
+ */
+export function splitInstructions(text = '') {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.trim().replace(/^\d+[.)]\s*/, ''))
+        .filter(line => line && !/^step\s*\d+$/i.test(line));
+}
@@ -0,0 +1,120 @@
+/**
+ * results.js
+ * This module shows a long list of results one page at a time.
+ * The full list is already in memory (the API returns every match at once), so
+ * paging happens entirely on the client: the next batch of cards is added when
+ * the user clicks "Load more" or, where IntersectionObserver is supported, as
+ * soon as the end of the list scrolls into view.
+ */
+
+export default class ResultsController {
+    /**
+     * @param {Element} container - The element the cards are added to.
+     * @param {Object} options
+     * @param {Function} options.renderCard - Builds the element for one item.
+     * @param {Element} [options.footer] - Holds the "Load more" button and status text.
+     *     It is also what IntersectionObserver watches for infinite scrolling.
+     * @param {number} [options.pageSize=12] - How many cards to add per batch.
+     * @param {boolean} [options.infinite=true] - Load the next batch automatically on scroll.
+     */
+    constructor(container, { renderCard, footer = null, pageSize = 12, infinite = true }) {
+        this.container = container;
+        this.renderCard = renderCard;
+        this.footer = footer;
+        this.pageSize = pageSize;
+        this.items = [];
+        // How many items currently have a card on the page
+        this.shown = 0;
+
+        this.loadMoreBtn = footer?.querySelector('[data-action="load-more"]');
+        this.status = footer?.querySelector('[data-role="status"]');
+        this.loadMoreBtn?.addEventListener('click', () => {
+            // Move keyboard focus to the first new card, so Tab continues from there
+            const firstNew = this.showMore();
+            firstNew?.querySelector('button')?.focus();
+        });
+
+        this.observer = null;
+        if (infinite && footer && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.showMore();
+                }
+            }, { rootMargin: '200px' });
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether some items don't have a card yet.
+     */
+    get hasMore() {
+        return this.shown < this.items.length;
+    }
+
+    /**
+     * Replaces the list and shows its first page.
+     * @param {Array} items - Everything that can be shown.
+     * @param {Object} [options]
+     * @param {boolean} [options.keepPosition=false] - Show at least as many cards as
+     *     before, e.g. when the same list is re-rendered with one item removed.
+     */
+    setItems(items, { keepPosition = false } = {}) {
+        const count = Math.max(this.pageSize, keepPosition ? this.shown : 0);
+        this.items = items;
+        this.shown = 0;
+        this.container.innerHTML = '';
+        this.showMore(count);
+    }
+
+    /**
+     * Adds the next batch of cards in a single DOM update.
+     * @param {number} [count=this.pageSize] - How many cards to add.
+     * @returns {Element|null} The first card that was added, if any.
+     */
+    showMore(count = this.pageSize) {
+        const batch = this.items.slice(this.shown, this.shown + count);
+        let firstNew = null;
+
+        if (batch.length > 0) {
+            const fragment = document.createDocumentFragment();
+            batch.forEach(item => fragment.appendChild(this.renderCard(item)));
+            firstNew = fragment.firstElementChild;
+            this.container.appendChild(fragment);
+            this.shown += batch.length;
+        }
+        this.updateFooter();
+        return firstNew;
+    }
+
+    /**
+     * Forgets the current list, e.g. before a loading spinner or error is shown.
+     * The container itself is left to the caller.
+     */
+    clear() {
+        this.items = [];
+        this.shown = 0;
+        this.updateFooter();
+    }
+
+    /**
+     * Shows or hides the footer and its button, and keeps the status text up to date.
+     */
+    updateFooter() {
+        if (!this.footer) return;
+
+        this.footer.classList.toggle('hidden', this.items.length === 0);
+        this.loadMoreBtn?.classList.toggle('hidden', !this.hasMore);
+        if (this.status) {
+            this.status.textContent = `Showing ${this.shown} of ${this.items.length} recipes`;
+        }
+
+        if (this.observer) {
+            // Observing again reports the footer's current visibility, so another
+            // batch loads if the footer is still in view after this one
+            this.observer.unobserve(this.footer);
+            if (this.hasMore) {
+                this.observer.observe(this.footer);
+            }
+        }
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * router.js
+ * This module keeps the app's state in the URL using the History API, so a
+ * search or an open recipe can be bookmarked, shared, and navigated with the
+ * browser's Back and Forward buttons.
+ *
+ *   ?q=chicken&category=Seafood   the search term and active filters
+ *   ?view=favorites               the "My Favorites" view
+ *   #/recipe/52772                the recipe open in the details modal
+ */
+
+import { FILTER_KINDS as FILTER_PARAMS } from './api.js';
+
+const RECIPE_HASH = /^#\/recipe\/(.+)$/;
+
+export class Router {
+    constructor() {
+        this.listeners = [];
+        window.addEventListener('popstate', () => {
+            const route = this.current();
+            this.listeners.forEach(listener => listener(route));
+        });
+    }
+
+    /**
+     * Reads the route from the current URL.
+     * @returns {{query: string, filters: Object, view: string, recipeId: string|null}}
+     */
+    current() {
+        const params = new URLSearchParams(window.location.search);
+        const hashMatch = window.location.hash.match(RECIPE_HASH);
+
+        return {
+            query: params.get('q') || '',
+            filters: Object.fromEntries(FILTER_PARAMS.map(name => [name, params.get(name) || ''])),
+            view: params.get('view') === 'favorites' ? 'favorites' : 'search',
+            recipeId: hashMatch ? decodeURIComponent(hashMatch[1]) : null
+        };
+    }
+
+    /**
+     * Builds the URL for a route. Unrelated query parameters, such as `source`, are kept.
+     * @param {Object} route - A route as returned by `current()`.
+     * @returns {URL}
+     */
+    urlFor({ query, filters, view, recipeId }) {
+        const url = new URL(window.location.href);
+        ['q', 'view', ...FILTER_PARAMS].forEach(name => url.searchParams.delete(name));
+
+        if (view === 'favorites') {
+            url.searchParams.set('view', 'favorites');
+        } else {
+            if (query) url.searchParams.set('q', query);
+            FILTER_PARAMS
+                .filter(name => filters[name])
+                .forEach(name => url.searchParams.set(name, filters[name]));
+        }
+        url.hash = recipeId ? `#/recipe/${encodeURIComponent(recipeId)}` : '';
+        return url;
+    }
+
+    /**
+     * Changes part of the route and records it in the browser history.
+     * @param {Object} changes - The route fields to change; the rest stay as they are.
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Replace the current entry instead of adding one.
+     * @param {Object} [options.state=null] - Extra data stored with the history entry.
+     */
+    navigate(changes, { replace = false, state = null } = {}) {
+        const url = this.urlFor({ ...this.current(), ...changes });
+        if (url.href === window.location.href && !replace) {
+            return; // Don't add duplicate history entries
+        }
+        const method = replace ? 'replaceState' : 'pushState';
+        history[method](state, '', url);
+    }
+
+    /**
+     * Registers a callback for Back/Forward navigation.
+     * @param {Function} listener - Called with the new route.
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+/**
+ * Returns a key that identifies which results a route shows.
+ * Two routes with the same key only differ in the open recipe.
+ * @param {Object} route - A route as returned by `Router.current()`.
+ * @returns {string}
+ */
+export function resultsKey({ query, filters, view }) {
+    return view === 'favorites' ? 'favorites' : JSON.stringify({ query, filters });
+}
+
+// Export a single, shared instance.
+export default new Router();
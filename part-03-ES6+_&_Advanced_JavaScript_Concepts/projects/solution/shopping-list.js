@@ -0,0 +1,237 @@
+/**
+ * shopping-list.js
+ * This module builds one shopping list out of the ingredients of several
+ * recipes. The same ingredient from different recipes becomes a single item,
+ * and its measures are added up where the units allow it (see measure.js).
+ * Items are grouped by aisle, can be checked off, and are kept in localStorage.
+ */
+
+import { measureOf } from './recipe.js';
+import { adjustMeasure, mergeMeasures } from './measure.js';
+
+const STORAGE_KEY = 'recipe-finder:shopping-list';
+const SCHEMA_VERSION = 1;
+
+/**
+ * Supermarket aisles, in the order they are listed. The first aisle with a
+ * matching pattern wins, which is why e.g. "red pepper" (Produce) is checked
+ * before "pepper" (Spices), and "chicken stock" (Pantry) before "chicken" (Meat).
+ */
+const AISLE_RULES = [
+    ['Produce', /\b(bell|red|green|yellow) peppers?\b/],
+    ['Spices & Herbs', /\b(salt|pepper|peppercorns?|cumin|paprika|cinnamon|nutmeg|turmeric|oregano|cloves|cardamom|curry|spices?|bay leaf|bay leaves|vanilla|powder|flakes|seasoning)\b|^ground\b|^dried\b/],
+    ['Pantry', /\b(flour|sugar|rice|pasta|penne|spaghetti|noodles?|oil|vinegar|stock|sauce|honey|beans|lentils?|chickpeas?|puree|passata|tinned|canned|oats|cornstarch|cornflour|yeast|mustard|ketchup|syrup|peanut butter|breadcrumbs|nuts|almonds|raisins|cocoa|chocolate)\b/],
+    ['Meat & Fish', /\b(chicken|beef|pork|lamb|bacon|sausages?|mince|turkey|duck|veal|ham|chorizo|salmon|fish|prawns?|shrimp|tuna|cod|haddock|mackerel|anchov(y|ies))\b/],
+    ['Dairy & Eggs', /\b(milk|butter|cheese|cream|yogh?urt|eggs?|parmesan|parmigiano|pecorino|mozzarella|ricotta|cheddar|feta|creme fraiche)\b/],
+    ['Bakery', /\b(bread|tortillas?|pitta|buns?|baguette|rolls?|wraps?)\b/],
+    ['Produce', /\b(onions?|garlic|tomato(es)?|potato(es)?|carrots?|lemons?|limes?|ginger|celery|lettuce|spinach|mushrooms?|parsley|basil|coriander|cilantro|thyme|rosemary|mint|dill|chives|apples?|bananas?|avocados?|cucumbers?|courgettes?|zucchini|aubergines?|eggplants?|broccoli|cabbage|leeks?|shallots?|chill?i(es)?|scallions?|spring onions?|peas|kale|beetroot|squash|pumpkin|oranges?|berries|vegetables?)\b/]
+];
+const OTHER_AISLE = 'Other';
+
+/**
+ * Guesses the supermarket aisle for an ingredient.
+ * @param {string} name - The ingredient name, e.g. "Chicken Breast".
+ * @returns {string} e.g. "Meat & Fish", or "Other".
+ */
+export function aisleFor(name) {
+    const needle = name.toLowerCase();
+    return AISLE_RULES.find(([, pattern]) => pattern.test(needle))?.[0] || OTHER_AISLE;
+}
+
+/**
+ * The aisles in display order, without duplicates.
+ */
+export const AISLES = [...new Set([...AISLE_RULES.map(([aisle]) => aisle), OTHER_AISLE])];
+
+export class ShoppingList {
+    constructor(storageKey = STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.items = this.load();
+
+        // Keep several open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.items = this.load();
+                this.notify();
+            }
+        });
+    }
+
+    /**
+     * Reads the list from localStorage.
+     * @returns {Map<string, Object>} Items keyed by their lower-case ingredient name.
+     */
+    load() {
+        const items = new Map();
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            if (raw) {
+                const data = JSON.parse(raw);
+                if (data.version > SCHEMA_VERSION) {
+                    throw new Error(`The shopping list was saved by a newer version of the app (schema ${data.version})`);
+                }
+                data.items.forEach(item => items.set(item.key, item));
+            }
+        } catch (error) {
+            console.error("Could not load the shopping list:", error);
+        }
+        return items;
+    }
+
+    /**
+     * Writes the list to localStorage and notifies listeners.
+     */
+    save() {
+        const data = { version: SCHEMA_VERSION, items: [...this.items.values()] };
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error("Could not save the shopping list:", error);
+        }
+        this.notify();
+    }
+
+    /**
+     * Adds every ingredient of a recipe. Ingredients already on the list get
+     * the new measure added to them, and are unchecked again.
+     * @param {Recipe} recipe - The recipe to shop for.
+     * @param {Object} [options]
+     * @param {number} [options.factor=1] - Scales the measures, e.g. 2 for twice the servings.
+     */
+    addRecipe(recipe, { factor = 1 } = {}) {
+        recipe.ingredients.forEach(ingredient => {
+            const key = ingredient.name.trim().toLowerCase();
+            const item = this.items.get(key) || {
+                key,
+                name: ingredient.name.trim(),
+                aisle: aisleFor(ingredient.name),
+                checked: false,
+                entries: []
+            };
+            item.entries.push({
+                recipeId: recipe.id,
+                recipeName: recipe.name,
+                measure: adjustMeasure(measureOf(ingredient), { factor })
+            });
+            item.checked = false;
+            this.items.set(key, item);
+        });
+        this.save();
+    }
+
+    /**
+     * Checks an item off, or un-checks it.
+     * @param {string} key - The item key.
+     * @param {boolean} checked - The new state.
+     */
+    setChecked(key, checked) {
+        const item = this.items.get(key);
+        if (item && item.checked !== checked) {
+            item.checked = checked;
+            this.save();
+        }
+    }
+
+    /**
+     * Removes one item.
+     * @param {string} key - The item key.
+     */
+    remove(key) {
+        if (this.items.delete(key)) {
+            this.save();
+        }
+    }
+
+    /**
+     * Removes every checked item.
+     */
+    clearChecked() {
+        [...this.items.values()]
+            .filter(item => item.checked)
+            .forEach(item => this.items.delete(item.key));
+        this.save();
+    }
+
+    /**
+     * Empties the list.
+     */
+    clear() {
+        this.items.clear();
+        this.save();
+    }
+
+    /**
+     * @returns {number} How many items are on the list.
+     */
+    get size() {
+        return this.items.size;
+    }
+
+    /**
+     * Returns the items grouped by aisle, ready to display.
+     * Each item's measures are merged, e.g. "1 cup" and "120 ml" become "1 1/2 cups".
+     * @returns {Array<{aisle: string, items: Array<{key: string, name: string, checked: boolean, quantity: string, recipes: Array<string>}>}>}
+     */
+    groups() {
+        const items = [...this.items.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(item => ({
+                key: item.key,
+                name: item.name,
+                aisle: item.aisle,
+                checked: item.checked,
+                quantity: mergeMeasures(item.entries.map(entry => entry.measure)).join(' + '),
+                recipes: [...new Set(item.entries.map(entry => entry.recipeName))]
+            }));
+
+        return AISLES
+            .map(aisle => ({ aisle, items: items.filter(item => item.aisle === aisle) }))
+            .filter(group => group.items.length > 0);
+    }
+
+    /**
+     * Exports the list as plain text, one aisle per block.
+     * @returns {string}
+     */
+    toText() {
+        return this.groups()
+            .map(({ aisle, items }) => [
+                aisle.toUpperCase(),
+                ...items.map(item => `${item.checked ? '[x]' : '[ ]'} ${[item.quantity, item.name].filter(Boolean).join(' ')}`)
+            ].join('\n'))
+            .join('\n\n');
+    }
+
+    /**
+     * Exports the list as Markdown with task-list checkboxes.
+     * @returns {string}
+     */
+    toMarkdown() {
+        const sections = this.groups().map(({ aisle, items }) => [
+            `## ${aisle}`,
+            '',
+            ...items.map(item => `- [${item.checked ? 'x' : ' '}] ${[item.quantity, `**${item.name}**`].filter(Boolean).join(' ')}`)
+        ].join('\n'));
+        return ['# Shopping list', ...sections].join('\n\n') + '\n';
+    }
+
+    /**
+     * Registers a callback that runs whenever the list changes.
+     * @param {Function} listener - Called with the list.
+     * @returns {Function} A function that removes the listener.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Export a single, shared instance, like the favorites store.
+export default new ShoppingList();
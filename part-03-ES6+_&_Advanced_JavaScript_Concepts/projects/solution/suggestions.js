@@ -0,0 +1,154 @@
+/**
+ * suggestions.js
+ * This module renders the autocomplete dropdown under the search input.
+ * It follows the ARIA combobox pattern: the input keeps focus while the arrow
+ * keys move a highlighted option, Enter picks it and Escape closes the list.
+ */
+
+export default class SuggestionBox {
+    /**
+     * @param {HTMLInputElement} input - The text input the suggestions belong to.
+     * @param {HTMLElement} list - The (initially hidden) list element for the options.
+     * @param {Object} options
+     * @param {Function} options.onSelect - Called with the chosen recipe.
+     */
+    constructor(input, list, { onSelect }) {
+        this.input = input;
+        this.list = list;
+        this.onSelect = onSelect;
+        this.recipes = [];
+        this.activeIndex = -1;
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.list.id);
+        this.input.setAttribute('aria-expanded', 'false');
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.input.addEventListener('keydown', this.handleKeydown);
+        this.input.addEventListener('blur', () => this.close());
+        // Use mousedown so the choice is made before the input's blur closes the list
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                e.preventDefault();
+                this.select(Number(option.dataset.index));
+            }
+        });
+    }
+
+    /**
+     * Shows a list of recipes as suggestions. An empty list closes the dropdown.
+     * @param {Array<Recipe>} recipes - The recipes to suggest.
+     */
+    show(recipes) {
+        this.recipes = recipes;
+        this.activeIndex = -1;
+        this.list.innerHTML = '';
+
+        if (recipes.length === 0) {
+            this.close();
+            return;
+        }
+
+        recipes.forEach((recipe, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.list.id}-${index}`;
+            option.className = 'suggestion';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.dataset.index = index;
+            option.textContent = recipe.name;
+            this.list.appendChild(option);
+        });
+
+        this.list.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hides the dropdown.
+     */
+    close() {
+        this.activeIndex = -1;
+        this.list.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * @returns {boolean} Whether the dropdown is currently visible.
+     */
+    isOpen() {
+        return !this.list.classList.contains('hidden');
+    }
+
+    /**
+     * Highlights the option at `index`, wrapping around at either end.
+     * @param {number} index - The option to highlight.
+     */
+    highlight(index) {
+        const options = this.list.querySelectorAll('[role="option"]');
+        this.activeIndex = (index + options.length) % options.length;
+
+        options.forEach((option, i) => {
+            const isActive = i === this.activeIndex;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Picks the recipe at `index` and closes the dropdown.
+     * @param {number} index - The option to pick.
+     */
+    select(index) {
+        const recipe = this.recipes[index];
+        this.close();
+        if (recipe) {
+            this.onSelect(recipe);
+        }
+    }
+
+    /**
+     * Keyboard navigation for the dropdown.
+     * @param {KeyboardEvent} e - The keydown event from the input.
+     */
+    handleKeydown(e) {
+        if (!this.isOpen()) {
+            // ArrowDown reopens the last suggestions, like a native combobox
+            if (e.key === 'ArrowDown' && this.recipes.length > 0) {
+                e.preventDefault();
+                this.show(this.recipes);
+                this.highlight(0);
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.highlight(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.highlight(Math.max(this.activeIndex, 0) - 1);
+                break;
+            case 'Enter':
+                // With nothing highlighted, let Enter submit the search form as usual
+                if (this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.select(this.activeIndex);
+                }
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+        }
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * sw.js
+ * The service worker that keeps Recipe Finder usable without a network.
+ *
+ *   - The app shell (HTML, CSS, every module) is precached on install. Every
+ *     page of the app is stored as the one index.html.
+ *   - Searches, filters and lists are network-first: fresh when online, the
+ *     last response when offline.
+ *   - Recipe lookups and thumbnails are cache-first: a recipe's details and
+ *     image don't change, so once seen they load instantly, even offline.
+ *   - Third-party assets (e.g. the icon font) are cache-first, in a cache of
+ *     their own.
+ *   - Everything cached at runtime (API responses, thumbnails, assets) is
+ *     capped at a number of entries, so the caches can't grow without bound.
+ *
+ * This file runs in the service worker context, not as an ES module.
+ * Bump CACHE_VERSION whenever APP_SHELL changes, so old caches are removed.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `recipe-finder-shell-${CACHE_VERSION}`;
+const API_CACHE = `recipe-finder-api-${CACHE_VERSION}`;
+const IMAGE_CACHE = `recipe-finder-images-${CACHE_VERSION}`;
+const ASSET_CACHE = `recipe-finder-assets-${CACHE_VERSION}`;
+const CACHES = [SHELL_CACHE, API_CACHE, IMAGE_CACHE, ASSET_CACHE];
+
+// How many API responses, thumbnails and third-party assets to keep; the oldest are removed first
+const MAX_API_RESPONSES = 100;
+const MAX_IMAGES = 200;
+const MAX_ASSETS = 50;
+
+// Everything the page needs to start. Keep this list in sync with the modules.
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.json',
+    'icon.svg',
+    'app.js',
+    'api.js',
+    'cache.js',
+    'errors.js',
+    'export.js',
+    'favorites.js',
+    'html.js',
+    'http.js',
+    'measure.js',
+    'offline.js',
+    'planner.js',
+    'providers.js',
+    'recipe.js',
+    'results.js',
+    'router.js',
+    'shopping-list.js',
+    'suggestions.js',
+    'ui.js',
+    'utils.js',
+    'fixtures/meals.json',
+    // The theme switcher from Part 2, and the HttpClient from Part 4 (see http.js)
+    '../../../part-02-dom-manipulation/examples/theme.js',
+    '../../../part-04-asynchronous-javascript/examples/cancellation.js',
+    '../../../part-04-asynchronous-javascript/examples/http-client.js'
+];
+
+const API_HOST = 'www.themealdb.com';
+const API_PATH = '/api/';
+const IMAGE_PATH = '/images/';
+// Lookups by ID never change, so they can be served from the cache
+const CACHE_FIRST_ENDPOINTS = ['lookup.php'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Remove the caches of older versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('recipe-finder-') && !CACHES.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        // Any URL of the app (e.g. `?q=chicken#/recipe/52772`) is the same page,
+        // so it is cached as index.html instead of once per query string
+        event.respondWith(networkFirst(request, SHELL_CACHE, { cacheKey: 'index.html' }));
+    } else if (url.host === API_HOST && url.pathname.startsWith(API_PATH)) {
+        const endpoint = url.pathname.split('/').pop();
+        const options = { maxEntries: MAX_API_RESPONSES };
+        event.respondWith(CACHE_FIRST_ENDPOINTS.includes(endpoint)
+            ? cacheFirst(request, API_CACHE, options)
+            : networkFirst(request, API_CACHE, options));
+    } else if (url.host === API_HOST && url.pathname.startsWith(IMAGE_PATH)) {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, { maxEntries: MAX_IMAGES }));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else {
+        // Third-party assets such as the icon font
+        event.respondWith(cacheFirst(request, ASSET_CACHE, { maxEntries: MAX_ASSETS }));
+    }
+});
+
+/**
+ * Stores a response in a cache, if it is worth keeping.
+ * Opaque responses (cross-origin without CORS, e.g. <img> thumbnails) report
+ * status 0 but are still usable, so they are kept too.
+ */
+async function store(cacheName, request, response, { maxEntries } = {}) {
+    if (!response.ok && response.type !== 'opaque') return;
+
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+
+    if (maxEntries) {
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+    }
+}
+
+/**
+ * Serves from the cache when possible, and fetches (and caches) otherwise.
+ * When both fail, the request fails like a normal network error, so the page
+ * shows its usual "offline" message.
+ */
+async function cacheFirst(request, cacheName, options) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    await store(cacheName, request, response.clone(), options);
+    return response;
+}
+
+/**
+ * Fetches fresh data, falling back to the last cached response when offline.
+ * @param {Object} [options]
+ * @param {Request|string} [options.cacheKey] - Where to store the response, if not under the request itself.
+ * @param {number} [options.maxEntries] - How many responses the cache may hold.
+ */
+async function networkFirst(request, cacheName, { cacheKey = request, maxEntries } = {}) {
+    try {
+        const response = await fetch(request);
+        await store(cacheName, cacheKey, response.clone(), { maxEntries });
+        return response;
+    } catch (error) {
+        const cached = await caches.match(cacheKey);
+        if (cached) return cached;
+        throw error;
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * browser-globals.js
+ * The little of the browser that the stores (favorites, planner, shopping list)
+ * need: `localStorage` and a `window` to listen to. Import it before the module
+ * under test, as they create their shared instance when they are loaded.
+ */
+
+class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    get length() {
+        return this.data.size;
+    }
+
+    key(index) {
+        return [...this.data.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+}
+
+globalThis.localStorage ??= new MemoryStorage();
+globalThis.window ??= new EventTarget();
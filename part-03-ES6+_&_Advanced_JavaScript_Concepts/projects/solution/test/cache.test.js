@@ -0,0 +1,62 @@
+/**
+ * cache.test.js
+ * Tests for the ResponseCache, and for switching the APIManager's provider
+ * while the cache is still loading from the old one.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseCache } from '../cache.js';
+import { APIManager } from '../api.js';
+import { MemoryProvider } from '../providers.js';
+
+/**
+ * A provider whose lookups wait until `finish` is called. It ignores the
+ * signal it is given, like a source that can't be cancelled, but keeps it
+ * so the test can check that it was aborted.
+ */
+function slowProvider() {
+    let finish;
+    const done = new Promise(resolve => { finish = resolve; });
+    const provider = {
+        signal: null,
+        finish: recipe => finish(recipe),
+        getById(id, { signal }) {
+            provider.signal = signal;
+            return done;
+        }
+    };
+    return provider;
+}
+
+test('switching provider during a load keeps the old result out of the cache', async () => {
+    const oldProvider = slowProvider();
+    const api = new APIManager(oldProvider);
+
+    const oldRequest = api.getRecipeById('1');
+    await new Promise(resolve => setTimeout(resolve));
+
+    api.setProvider(new MemoryProvider([{ id: '1', name: 'New' }]));
+    assert.equal(oldProvider.signal.aborted, true);
+    const newRecipe = await api.getRecipeById('1');
+    assert.equal(newRecipe.name, 'New');
+
+    oldProvider.finish({ id: '1', name: 'Old' });
+    await oldRequest;
+    assert.equal((await api.getRecipeById('1')).name, 'New');
+});
+
+test('a background refresh that ends after clear() is not stored', async () => {
+    const cache = new ResponseCache({ ttl: -1 });
+    cache.set('key', 'first');
+
+    let finish;
+    const refreshed = new Promise(resolve => { finish = resolve; });
+    assert.equal(await cache.get('key', () => refreshed), 'first');
+
+    cache.clear();
+    finish('stale');
+    await new Promise(resolve => setTimeout(resolve));
+
+    assert.equal(cache.entries.has('key'), false);
+});
@@ -0,0 +1,70 @@
+/**
+ * favorites.test.js
+ * Tests for the favorites store, and for migrating what older versions of the
+ * app left in localStorage.
+ */
+
+import './browser-globals.js';
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { FavoritesStore } from '../favorites.js';
+import { Recipe } from '../recipe.js';
+
+const KEY = 'test:favorites';
+const pancakes = { id: 1, name: 'Pancakes', ingredients: [{ name: 'Milk', quantity: '1', unit: 'cup' }] };
+const crumble = { id: '2', name: 'Crumble' };
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+test('loads version 0 data (a bare array of recipes) and saves it in the current format', () => {
+    localStorage.setItem(KEY, JSON.stringify([pancakes, crumble]));
+    const store = new FavoritesStore(KEY);
+
+    assert.equal(store.has('1'), true);
+    assert.ok(store.get(1) instanceof Recipe);
+    assert.equal(store.get('1').ingredients[0].name, 'Milk');
+    assert.deepEqual(store.getAll().map(recipe => recipe.name).sort(), ['Crumble', 'Pancakes']);
+
+    store.remove('2');
+    const saved = JSON.parse(localStorage.getItem(KEY));
+    assert.equal(saved.version, 1);
+    assert.deepEqual(saved.items.map(item => item.recipe.name), ['Pancakes']);
+    assert.equal(typeof saved.items[0].savedAt, 'number');
+});
+
+test('loads the current format as it is, most recently saved first', () => {
+    localStorage.setItem(KEY, JSON.stringify({
+        version: 1,
+        items: [{ recipe: pancakes, savedAt: 100 }, { recipe: crumble, savedAt: 200 }]
+    }));
+    const store = new FavoritesStore(KEY);
+
+    assert.deepEqual(store.getAll().map(recipe => recipe.name), ['Crumble', 'Pancakes']);
+});
+
+test('leaves data from a newer version alone instead of misreading it', (t) => {
+    const newer = JSON.stringify({ version: 2, entries: [] });
+    localStorage.setItem(KEY, newer);
+    const error = t.mock.method(console, 'error', () => {});
+
+    const store = new FavoritesStore(KEY);
+
+    assert.equal(store.getAll().length, 0);
+    assert.equal(error.mock.callCount(), 1);
+    assert.match(error.mock.calls[0].arguments[1].message, /newer version/);
+    assert.equal(localStorage.getItem(KEY), newer);
+});
+
+test('reloads when another tab changes the favorites', () => {
+    const store = new FavoritesStore(KEY);
+    const listener = mock.fn();
+    store.subscribe(listener);
+
+    localStorage.setItem(KEY, JSON.stringify([crumble]));
+    window.dispatchEvent(Object.assign(new Event('storage'), { key: KEY }));
+
+    assert.equal(store.has('2'), true);
+    assert.equal(listener.mock.callCount(), 1);
+});
@@ -0,0 +1,49 @@
+/**
+ * http.test.js
+ * Tests for the HttpClient. Run them with `npm test` (Node 20 or later);
+ * the fetch passed to the client is a fake, so nothing goes over the network.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpClient } from '../http.js';
+import { TimeoutError, AbortError } from '../errors.js';
+
+/**
+ * A fetch whose response arrives right away, but whose body never finishes.
+ * Like the real fetch, aborting its signal makes reading the body fail.
+ * @returns {Function & { calls: number }}
+ */
+function fetchWithEndlessBody() {
+    const fakeFetch = async (url, { signal }) => {
+        fakeFetch.calls++;
+        const body = new ReadableStream({
+            start(controller) {
+                signal.addEventListener('abort', () => controller.error(signal.reason), { once: true });
+            }
+        });
+        return new Response(body, { headers: { 'Content-Type': 'application/json' } });
+    };
+    fakeFetch.calls = 0;
+    return fakeFetch;
+}
+
+test('a timeout while reading the body is a TimeoutError and is retried', async () => {
+    const fetch = fetchWithEndlessBody();
+    const client = new HttpClient({ fetch, timeout: 20, retry: { retries: 2, baseDelay: 1, jitter: false } });
+
+    await assert.rejects(client.get('https://example.com/slow'), TimeoutError);
+    assert.equal(fetch.calls, 3);
+});
+
+test('aborting while the body is read rejects with an AbortError', async () => {
+    const fetch = fetchWithEndlessBody();
+    const client = new HttpClient({ fetch, timeout: 0, retry: { retries: 2 } });
+    const controller = new AbortController();
+
+    const request = client.get('https://example.com/slow', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(request, AbortError);
+    assert.equal(fetch.calls, 1);
+});
@@ -0,0 +1,57 @@
+/**
+ * measure.test.js
+ * Tests for parsing, scaling, converting and merging ingredient measures.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMeasure, adjustMeasure, mergeMeasures } from '../measure.js';
+
+test('parseMeasure reads fractions, ranges and units', () => {
+    assert.deepEqual(parseMeasure('1 1/2 cups'), { amount: '1 1/2', min: 1.5, max: 1.5, unit: 'cup', unitText: 'cups', note: '' });
+    assert.deepEqual(parseMeasure('2-3 tbs chopped'), { amount: '2-3', min: 2, max: 3, unit: 'tbsp', unitText: 'tbs', note: 'chopped' });
+    assert.deepEqual(parseMeasure('½ tsp'), { amount: '½', min: 0.5, max: 0.5, unit: 'tsp', unitText: 'tsp', note: '' });
+    assert.equal(parseMeasure('pinch'), null);
+});
+
+test('parseMeasure reads a compound amount as one quantity', () => {
+    const parsed = parseMeasure('1 lb 2 oz');
+    assert.equal(parsed.unit, 'lb');
+    assert.equal(parsed.min, 1.125);
+    assert.equal(parsed.max, 1.125);
+    assert.equal(parsed.note, '');
+});
+
+test('adjustMeasure scales and converts compound amounts', () => {
+    assert.equal(adjustMeasure('1 lb 2 oz', { system: 'metric' }), '510 g');
+    assert.equal(adjustMeasure('1 lb 2 oz', { factor: 2 }), '2 1/4 lb');
+});
+
+test('adjustMeasure keeps a pack size it has no unit for', () => {
+    assert.equal(adjustMeasure('1 (400g) can', { factor: 2 }), '2 (400g) can');
+    assert.equal(adjustMeasure('3 (about 1 lb)', { factor: 2 }), '6 (about 1 lb)');
+});
+
+test('adjustMeasure drops the alternative measure of a known unit', () => {
+    assert.equal(adjustMeasure('200g/7oz', { factor: 2 }), '400 g');
+    assert.equal(adjustMeasure('2 cups (480 ml) milk', { factor: 2 }), '4 cups milk');
+});
+
+test('adjustMeasure leaves unrecognised or unchanged measures as written', () => {
+    assert.equal(adjustMeasure('to taste', { factor: 2 }), 'to taste');
+    assert.equal(adjustMeasure('1 1/2 Cups', { factor: 1 }), '1 1/2 Cups');
+    assert.equal(adjustMeasure('200g', { system: 'metric' }), '200g');
+});
+
+test('mergeMeasures adds up compatible measures and keeps the rest', () => {
+    assert.deepEqual(mergeMeasures(['1 cup', '1/2 cup', 'pinch', 'pinch']), ['1 1/2 cups', 'pinch']);
+    assert.deepEqual(mergeMeasures(['1 lb 2 oz', '6 oz']), ['1 1/2 lb']);
+    assert.deepEqual(mergeMeasures(['2 large', '1 large']), ['3 large']);
+    assert.deepEqual(mergeMeasures(['1 cup', '100 g']), ['1 cup', '100 g']);
+});
+
+test('mergeMeasures keeps measures with different notes apart', () => {
+    assert.deepEqual(mergeMeasures(['1 cup chopped', '1/2 cup chopped']), ['1 1/2 cups chopped']);
+    assert.deepEqual(mergeMeasures(['1 cup chopped', '1 cup melted']), ['1 cup chopped', '1 cup melted']);
+    assert.deepEqual(mergeMeasures(['2 large', '1 large beaten']), ['2 large', '1 large beaten']);
+});
@@ -0,0 +1,91 @@
+/**
+ * planner.test.js
+ * Tests for the meal planner, mostly undoing and redoing changes.
+ */
+
+import './browser-globals.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MealPlanner, slotKey } from '../planner.js';
+
+const KEY = 'test:meal-plan';
+const MONDAY = slotKey('Monday', 'Dinner');
+const TUESDAY = slotKey('Tuesday', 'Dinner');
+const pancakes = { id: 1, name: 'Pancakes' };
+const crumble = { id: 2, name: 'Crumble' };
+
+// The name planned for each slot, for short comparisons
+const names = planner => Object.fromEntries(Object.entries(planner.slots).map(([key, recipe]) => [key, recipe.name]));
+
+let planner;
+beforeEach(() => {
+    localStorage.clear();
+    planner = new MealPlanner(KEY);
+});
+
+test('undo and redo step through the changes, and are saved', () => {
+    planner.set(MONDAY, pancakes);
+    planner.set(TUESDAY, crumble);
+    planner.move(MONDAY, TUESDAY);
+    assert.deepEqual(names(planner), { [MONDAY]: 'Crumble', [TUESDAY]: 'Pancakes' });
+
+    planner.undo();
+    assert.deepEqual(names(planner), { [MONDAY]: 'Pancakes', [TUESDAY]: 'Crumble' });
+    planner.undo();
+    assert.deepEqual(names(planner), { [MONDAY]: 'Pancakes' });
+    assert.deepEqual(names(new MealPlanner(KEY)), { [MONDAY]: 'Pancakes' });
+
+    planner.redo();
+    assert.deepEqual(names(planner), { [MONDAY]: 'Pancakes', [TUESDAY]: 'Crumble' });
+    assert.equal(planner.canRedo, true);
+});
+
+test('a new change after undo drops the changes that could be redone', () => {
+    planner.set(MONDAY, pancakes);
+    planner.clear();
+    planner.undo();
+    assert.equal(planner.canRedo, true);
+
+    planner.remove(MONDAY);
+    assert.equal(planner.canRedo, false);
+    planner.redo();
+    assert.deepEqual(planner.slots, {});
+});
+
+test('undo puts back exactly what was there, not the objects changed since', () => {
+    planner.set(MONDAY, pancakes);
+    const before = planner.get(MONDAY);
+    planner.set(MONDAY, crumble);
+    planner.undo();
+
+    assert.equal(planner.get(MONDAY), before);
+    assert.equal(planner.canUndo, true);
+    planner.undo();
+    assert.equal(planner.canUndo, false);
+    planner.undo();
+    assert.deepEqual(planner.slots, {});
+});
+
+test('changes that change nothing are not recorded', () => {
+    planner.set(MONDAY, pancakes);
+    planner.move(MONDAY, MONDAY);
+    planner.move(TUESDAY, MONDAY);
+    planner.remove(TUESDAY);
+
+    planner.undo();
+    assert.equal(planner.canUndo, false);
+});
+
+test('only the last 50 changes can be undone', () => {
+    for (let i = 0; i < 60; i++) {
+        planner.set(MONDAY, { id: i, name: `Recipe ${i}` });
+    }
+    let undone = 0;
+    while (planner.canUndo) {
+        planner.undo();
+        undone++;
+    }
+
+    assert.equal(undone, 50);
+    assert.equal(planner.get(MONDAY).name, 'Recipe 9');
+});
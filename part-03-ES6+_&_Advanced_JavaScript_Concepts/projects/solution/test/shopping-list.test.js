@@ -0,0 +1,72 @@
+/**
+ * shopping-list.test.js
+ * Tests for building a shopping list out of several recipes.
+ */
+
+import './browser-globals.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShoppingList, aisleFor } from '../shopping-list.js';
+import { Recipe } from '../recipe.js';
+
+const pancakes = new Recipe({
+    id: '1',
+    name: 'Pancakes',
+    ingredients: [
+        { name: 'Milk', quantity: '1', unit: 'cup' },
+        { name: 'Butter', quantity: '2', unit: 'tbsp melted' },
+        { name: 'Eggs', quantity: '2' }
+    ]
+});
+const crumble = new Recipe({
+    id: '2',
+    name: 'Crumble',
+    ingredients: [
+        { name: 'milk', quantity: '120', unit: 'ml' },
+        { name: 'Butter', quantity: '50', unit: 'g cubed' },
+        { name: 'Apples', quantity: '4' }
+    ]
+});
+
+beforeEach(() => localStorage.clear());
+
+test('the same ingredient from several recipes becomes one item', () => {
+    const list = new ShoppingList('test:list');
+    list.addRecipe(pancakes);
+    list.addRecipe(crumble);
+
+    const items = list.groups().flatMap(group => group.items);
+    const milk = items.find(item => item.key === 'milk');
+    assert.equal(milk.quantity, '1 1/2 cups');
+    assert.deepEqual(milk.recipes, ['Pancakes', 'Crumble']);
+    assert.equal(list.size, 4);
+});
+
+test('measures with different notes are listed side by side', () => {
+    const list = new ShoppingList('test:list');
+    list.addRecipe(pancakes);
+    list.addRecipe(crumble);
+
+    const butter = list.groups().flatMap(group => group.items).find(item => item.key === 'butter');
+    assert.equal(butter.quantity, '2 tbsp melted + 50 g cubed');
+});
+
+test('items are grouped by aisle and kept in localStorage', () => {
+    const list = new ShoppingList('test:list');
+    list.addRecipe(pancakes, { factor: 2 });
+    list.setChecked('eggs', true);
+
+    const reloaded = new ShoppingList('test:list');
+    const groups = reloaded.groups();
+    assert.deepEqual(groups.map(group => group.aisle), ['Dairy & Eggs']);
+    assert.equal(groups[0].items.find(item => item.key === 'eggs').quantity, '4');
+    assert.equal(reloaded.toText(), 'DAIRY & EGGS\n[ ] 1/4 cup melted Butter\n[x] 4 Eggs\n[ ] 2 cups Milk');
+});
+
+test('aisleFor checks specific names before general ones', () => {
+    assert.equal(aisleFor('Red Pepper'), 'Produce');
+    assert.equal(aisleFor('Black Pepper'), 'Spices & Herbs');
+    assert.equal(aisleFor('Chicken Stock'), 'Pantry');
+    assert.equal(aisleFor('Chicken Breast'), 'Meat & Fish');
+    assert.equal(aisleFor('Widgets'), 'Other');
+});
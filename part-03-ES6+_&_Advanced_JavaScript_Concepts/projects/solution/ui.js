@@ -2,92 +2,672 @@
  * ui.js
  * This module is responsible for all DOM manipulation and UI updates.
  * It keeps the presentation logic separate from the application logic.
+ * All markup that contains data is built with the `html` tagged template,
+ * which escapes every interpolated value (see html.js).
  */
 
+import { html, render, safeUrl } from './html.js';
+import ResultsController from './results.js';
+import { adjustMeasure } from './measure.js';
+import { measureOf } from './recipe.js';
+import { DAYS, MEALS, slotKey } from './planner.js';
+
+// Everything inside the modal that can receive keyboard focus
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// TheMealDB doesn't say how many people a recipe serves, so scaling starts from this
+const DEFAULT_SERVINGS = 4;
+const MAX_SERVINGS = 12;
+const UNIT_SYSTEMS = [['', 'As written'], ['metric', 'Metric'], ['imperial', 'Imperial']];
+
+// What to tell the user for each error type from errors.js, keyed by `error.name`
+const ERROR_VIEWS = {
+    NetworkError: {
+        icon: 'fa-wifi',
+        title: "Can't reach the recipe service",
+        message: () => 'Check your internet connection and try again.'
+    },
+    TimeoutError: {
+        icon: 'fa-hourglass-half',
+        title: 'The recipe service is taking too long',
+        message: () => 'It may be busy or your connection may be slow. Please try again.'
+    },
+    HttpError: {
+        icon: 'fa-server',
+        title: 'The recipe service ran into a problem',
+        message: error => `It answered with status ${error.status}. Please try again in a moment.`
+    },
+    ParseError: {
+        icon: 'fa-file-circle-exclamation',
+        title: 'Unexpected response',
+        message: () => "The recipe data we received couldn't be read."
+    },
+    NotFoundError: {
+        icon: 'fa-magnifying-glass',
+        title: 'Recipe not found',
+        message: () => "This recipe doesn't exist or has been removed."
+    },
+    AbortError: {
+        icon: 'fa-ban',
+        title: 'Request cancelled',
+        message: () => 'The request was stopped before it finished.'
+    }
+};
+const DEFAULT_ERROR_VIEW = {
+    icon: 'fa-triangle-exclamation',
+    title: 'Something went wrong',
+    message: () => 'Please try again.'
+};
+
 class UIManager {
     constructor() {
         // Select all necessary elements once and store them
         this.resultsContainer = document.getElementById('results-container');
         this.modalContainer = document.getElementById('recipe-modal');
         this.modalDetailsContent = document.getElementById('modal-details-content');
+        this.modalDialog = this.modalContainer.querySelector('[role="dialog"]');
         this.closeModalBtn = document.querySelector('.close-modal-btn');
+        this.favoritesBtn = document.getElementById('favorites-btn');
+        this.connectionStatus = document.getElementById('connection-status');
+        this.importStatus = document.getElementById('import-status');
+        this.filterBar = document.getElementById('filter-bar');
+        this.activeFilters = document.getElementById('active-filters');
+        this.filterInputs = {
+            category: document.getElementById('category-filter'),
+            area: document.getElementById('area-filter'),
+            ingredient: document.getElementById('ingredient-filter')
+        };
+        this.ingredientOptions = document.getElementById('ingredient-options');
+        this.shoppingListBtn = document.getElementById('shopping-list-btn');
+        this.shoppingListContent = document.getElementById('shopping-list-content');
+        this.plannerPanel = document.getElementById('planner-panel');
+        this.plannerGrid = document.getElementById('planner-grid');
+        // The panels that open below the header, each with the button that toggles it
+        this.panels = {
+            shoppingList: { button: this.shoppingListBtn, panel: document.getElementById('shopping-list-panel') },
+            planner: { button: document.getElementById('planner-btn'), panel: this.plannerPanel }
+        };
+
+        // Pages through long result lists (see results.js)
+        this.results = new ResultsController(this.resultsContainer, {
+            footer: document.getElementById('results-footer'),
+            renderCard: recipe => this.createRecipeCard(recipe)
+        });
+        // Tells whether a recipe ID is a favorite; set by displayRecipes
+        this.isFavorite = () => false;
+
+        // The recipe in the details modal, and how its ingredients are shown.
+        // Servings start over for every recipe; the unit system is kept.
+        this.currentRecipe = null;
+        this.measureOptions = { servings: DEFAULT_SERVINGS, system: '' };
+
+        this.modalCloseListeners = [];
+        // Where focus goes back to when the modal closes (see openModal)
+        this.returnFocus = null;
 
         // Bind the closeModal method to the instance to ensure `this` is correct
         this.closeModal = this.closeModal.bind(this);
-        this.closeModalBtn.addEventListener('click', this.closeModal);
+        this.closeModalBtn.addEventListener('click', () => this.closeModal());
         this.modalContainer.addEventListener('click', (e) => {
             if (e.target === this.modalContainer) {
                 this.closeModal();
             }
         });
+        this.modalContainer.addEventListener('keydown', (e) => this.handleModalKeydown(e));
+        ['input', 'change'].forEach(type => {
+            this.modalDetailsContent.addEventListener(type, (e) => this.handleMeasureControl(e));
+        });
+    }
+
+    /**
+     * Returns the markup for a heart button that toggles a recipe's favorite state.
+     * @param {string} id - The recipe ID.
+     * @param {boolean} isFavorite - Whether the recipe is currently a favorite.
+     * @returns {SafeHTML}
+     */
+    favoriteButton(id, isFavorite) {
+        return html`
+            <button class="favorite-btn" data-action="toggle-favorite" data-id="${id}"
+                aria-pressed="${String(isFavorite)}" aria-label="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
+                <i class="${isFavorite ? 'fas' : 'far'} fa-heart"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Builds the card for one recipe in the results.
+     * @param {Recipe} recipe - The recipe to show.
+     * @returns {HTMLElement}
+     */
+    createRecipeCard(recipe) {
+        const recipeCard = document.createElement('div');
+        recipeCard.className = 'recipe-card';
+        // Store the recipe ID in a data attribute for easy access
+        recipeCard.dataset.id = recipe.id;
+        // Cards can be dragged into the meal planner
+        recipeCard.draggable = true;
+
+        render(recipeCard, html`
+            <img src="${safeUrl(recipe.thumbnail)}" alt="" loading="lazy">
+            <div class="recipe-card-content">
+                <h3><button type="button" class="recipe-open-btn">${recipe.name}</button></h3>
+                ${this.favoriteButton(recipe.id, this.isFavorite(recipe.id))}
+            </div>
+        `);
+        return recipeCard;
+    }
+
+    /**
+     * Finds the recipe shown by a card in the results.
+     * @param {Element} card - A `.recipe-card` element.
+     * @returns {Recipe|null}
+     */
+    recipeForCard(card) {
+        return this.results.items.find(recipe => recipe.id === card.dataset.id) || null;
     }
 
     /**
      * Displays a list of recipe cards in the results container.
-     * @param {Array} recipes - An array of recipe objects from the API.
+     * Only the first page is rendered; the rest follow as the user scrolls or
+     * clicks "Load more" (see results.js).
+     * @param {Array<Recipe>} recipes - An array of recipes from the API.
+     * @param {Object} [options]
+     * @param {Function} [options.isFavorite] - Tells whether a recipe ID is a favorite.
+     * @param {string} [options.emptyMessage] - What to show when there are no recipes.
+     * @param {boolean} [options.keepPosition=false] - Keep as many cards as are showing now,
+     *     e.g. when the favorites view is refreshed while the user is scrolled down.
      */
-    displayRecipes(recipes) {
-        this.clearResults();
+    displayRecipes(recipes, {
+        isFavorite = () => false,
+        emptyMessage = 'No recipes found. Try another search!',
+        keepPosition = false
+    } = {}) {
         if (recipes.length === 0) {
-            this.resultsContainer.innerHTML = '<p>No recipes found. Try another search!</p>';
+            this.clearResults();
+            render(this.resultsContainer, html`<p>${emptyMessage}</p>`);
             return;
         }
 
-        recipes.forEach(recipe => {
-            const recipeCard = document.createElement('div');
-            recipeCard.className = 'recipe-card';
-            // Store the recipe ID in a data attribute for easy access
-            recipeCard.dataset.id = recipe.idMeal;
-
-            recipeCard.innerHTML = `
-                <img src="${recipe.strMealThumb}" alt="${recipe.strMeal}">
-                <div class="recipe-card-content">
-                    <h3>${recipe.strMeal}</h3>
-                </div>
-            `;
-            this.resultsContainer.appendChild(recipeCard);
-        });
+        this.isFavorite = isFavorite;
+        this.results.setItems(recipes, { keepPosition });
     }
 
     /**
      * Displays the full details of a single recipe in a modal.
-     * @param {Object} recipe - A single, detailed recipe object from the API.
-     */
-    displayRecipeDetails(recipe) {
-        // Create a list of ingredients and their measurements
-        let ingredientsList = '';
-        for (let i = 1; i <= 20; i++) {
-            const ingredient = recipe[`strIngredient${i}`];
-            const measure = recipe[`strMeasure${i}`];
-            if (ingredient) {
-                ingredientsList += `<li>${measure} ${ingredient}</li>`;
-            } else {
-                break; // No more ingredients
-            }
+     * @param {Recipe} recipe - A single recipe from the API.
+     * @param {Object} [options]
+     * @param {boolean} [options.isFavorite=false] - Whether the recipe is a favorite.
+     */
+    displayRecipeDetails(recipe, { isFavorite = false } = {}) {
+        if (recipe.id !== this.currentRecipe?.id) {
+            this.measureOptions.servings = DEFAULT_SERVINGS;
         }
+        this.currentRecipe = recipe;
+        const { servings, system } = this.measureOptions;
+        const stepsList = recipe.steps.map(step => html`<li>${step}</li>`);
 
-        this.modalDetailsContent.innerHTML = `
-            <h2>${recipe.strMeal}</h2>
-            <img src="${recipe.strMealThumb}" alt="${recipe.strMeal}">
-            <h3>Ingredients</h3>
-            <ul>${ingredientsList}</ul>
+        render(this.modalDetailsContent, html`
+            <div class="modal-title">
+                <h2 id="modal-recipe-title">${recipe.name}</h2>
+                ${this.favoriteButton(recipe.id, isFavorite)}
+            </div>
+            <img src="${safeUrl(recipe.thumbnail)}" alt="${recipe.name}">
+            <div class="recipe-export" role="group" aria-label="Print or download this recipe">
+                <button type="button" data-action="print"><i class="fas fa-print" aria-hidden="true"></i> Print</button>
+                <button type="button" data-action="export" data-format="markdown">Markdown</button>
+                <button type="button" data-action="export" data-format="json">JSON</button>
+                <button type="button" data-action="export" data-format="json-ld">schema.org</button>
+            </div>
+            <form class="plan-form" data-action="add-to-plan">
+                <select name="day" aria-label="Day">${DAYS.map(day => html`<option>${day}</option>`)}</select>
+                <select name="meal" aria-label="Meal">${MEALS.map(meal => html`<option ${meal === 'Dinner' && 'selected'}>${meal}</option>`)}</select>
+                <button type="submit"><i class="fas fa-calendar-plus" aria-hidden="true"></i> Add to meal plan</button>
+            </form>
+            <div class="ingredients-title">
+                <h3>Ingredients</h3>
+                <button type="button" class="add-to-list-btn" data-action="add-to-list">
+                    <i class="fas fa-cart-plus" aria-hidden="true"></i> Add to shopping list
+                </button>
+            </div>
+            <div class="measure-controls">
+                <label class="servings-control">
+                    Servings
+                    <input type="range" min="1" max="${MAX_SERVINGS}" value="${servings}" data-control="servings">
+                    <output data-role="servings">${servings}</output>
+                </label>
+                <fieldset class="unit-toggle">
+                    <legend>Units</legend>
+                    ${UNIT_SYSTEMS.map(([value, label]) => html`
+                        <label><input type="radio" name="unit-system" value="${value}" data-control="system"
+                            ${value === system && 'checked'}> ${label}</label>
+                    `)}
+                </fieldset>
+            </div>
+            <ul class="ingredient-list">${this.ingredientItems(recipe)}</ul>
             <h3>Instructions</h3>
-            <p>${recipe.strInstructions}</p>
+            <ol class="recipe-steps">${stepsList}</ol>
+        `);
+        this.openModal();
+    }
+
+    /**
+     * Returns the ingredient list items, scaled to the chosen servings and
+     * converted to the chosen unit system. Measures that can't be parsed
+     * (e.g. "pinch") are shown as written.
+     * @param {Recipe} recipe - The recipe whose ingredients to list.
+     * @returns {Array<SafeHTML>}
+     */
+    ingredientItems(recipe) {
+        const factor = this.servingsFactor();
+        const system = this.measureOptions.system || null;
+
+        return recipe.ingredients.map(ingredient => {
+            const measure = adjustMeasure(measureOf(ingredient), { factor, system });
+            return html`<li>${[measure, ingredient.name].filter(Boolean).join(' ')}</li>`;
+        });
+    }
+
+    /**
+     * How much the chosen servings scale the recipe, e.g. 2 for 8 servings of a recipe for 4.
+     * @returns {number}
+     */
+    servingsFactor() {
+        return this.measureOptions.servings / DEFAULT_SERVINGS;
+    }
+
+    /**
+     * Confirms on a button in the details modal that its action worked,
+     * e.g. "Added to shopping list".
+     * @param {string} selector - Finds the button inside the modal.
+     * @param {string} message - The new button text.
+     */
+    confirmAction(selector, message) {
+        const button = this.modalDetailsContent.querySelector(selector);
+        if (button) {
+            render(button, html`<i class="fas fa-check" aria-hidden="true"></i> ${message}`);
+        }
+    }
+
+    /**
+     * Re-renders the ingredients when the servings slider or unit toggle changes.
+     * @param {Event} e - An input or change event from inside the modal.
+     */
+    handleMeasureControl(e) {
+        const control = e.target.dataset?.control;
+        if (!control || !this.currentRecipe) return;
+
+        if (control === 'servings') {
+            this.measureOptions.servings = Number(e.target.value);
+            this.modalDetailsContent.querySelector('[data-role="servings"]').textContent = e.target.value;
+        } else if (control === 'system') {
+            this.measureOptions.system = e.target.value;
+        }
+        render(this.modalDetailsContent.querySelector('.ingredient-list'), html`${this.ingredientItems(this.currentRecipe)}`);
+    }
+
+    /**
+     * Returns the markup describing an error, with a Retry button.
+     * @param {Error} error - Usually one of the error types from errors.js.
+     * @param {Object} [options]
+     * @param {string} [options.headingId] - An ID for the heading, e.g. to label the modal.
+     * @returns {SafeHTML}
+     */
+    errorView(error, { headingId } = {}) {
+        const view = ERROR_VIEWS[error?.name] || DEFAULT_ERROR_VIEW;
+        return html`
+            <div class="error-state" role="alert" data-error="${error?.name || 'Error'}">
+                <i class="fas ${view.icon}" aria-hidden="true"></i>
+                <h3${headingId && html` id="${headingId}"`}>${view.title}</h3>
+                <p>${view.message(error)}</p>
+                <button type="button" class="retry-btn" data-action="retry">
+                    <i class="fas fa-rotate-right" aria-hidden="true"></i> Retry
+                </button>
+            </div>
         `;
+    }
+
+    /**
+     * Wires up the Retry button of an error view.
+     * @param {Element} container - The element the error view was rendered into.
+     * @param {Function} [onRetry] - Replays the action that failed. Without it, no button is shown.
+     */
+    bindRetry(container, onRetry) {
+        const button = container.querySelector('[data-action="retry"]');
+        if (!onRetry) {
+            button.remove();
+            return;
+        }
+        button.addEventListener('click', () => onRetry(), { once: true });
+    }
+
+    /**
+     * Shows an error in the results container, e.g. when a search failed.
+     * @param {Error} error - The error to describe.
+     * @param {Object} [options]
+     * @param {Function} [options.onRetry] - Called when the user clicks Retry.
+     */
+    displayError(error, { onRetry } = {}) {
+        this.clearResults();
+        render(this.resultsContainer, this.errorView(error));
+        this.bindRetry(this.resultsContainer, onRetry);
+    }
+
+    /**
+     * Shows an error in the details modal, e.g. when a recipe could not be loaded.
+     * @param {Error} error - The error to describe.
+     * @param {Object} [options]
+     * @param {Function} [options.onRetry] - Called when the user clicks Retry.
+     */
+    displayRecipeError(error, { onRetry } = {}) {
+        this.currentRecipe = null;
+        // The heading labels the dialog in place of the recipe title
+        render(this.modalDetailsContent, this.errorView(error, { headingId: 'modal-recipe-title' }));
+        this.bindRetry(this.modalDetailsContent, onRetry);
+        this.openModal();
+    }
+
+    /**
+     * Shows the modal as an accessible dialog: focus moves into it and the
+     * element that opened it is remembered, so focus can return there on close.
+     */
+    openModal() {
+        if (!this.modalContainer.classList.contains('hidden')) {
+            return; // Already open; keep the original focus target
+        }
+
+        const opener = document.activeElement;
+        this.returnFocus = {
+            element: opener,
+            // Cards can be re-rendered while the modal is open (e.g. by un-favoriting
+            // in the favorites view), so also remember which recipe card it was
+            recipeId: opener?.closest?.('.recipe-card')?.dataset.id || null,
+            // Restored on close, so the user is back where they were in a long list
+            scrollY: window.scrollY
+        };
+
         this.modalContainer.classList.remove('hidden');
+        this.modalDialog.focus();
+    }
+
+    /**
+     * Puts focus and the scroll position back where they were before the modal opened.
+     */
+    restoreFocus() {
+        const { element, recipeId, scrollY } = this.returnFocus || {};
+        this.returnFocus = null;
+
+        let target = element?.isConnected ? element : null;
+        if (!target && recipeId) {
+            target = this.resultsContainer.querySelector(`.recipe-card[data-id="${CSS.escape(recipeId)}"] .recipe-open-btn`);
+        }
+        target?.focus({ preventScroll: true });
+        if (scrollY !== undefined) {
+            window.scrollTo(0, scrollY);
+        }
+    }
+
+    /**
+     * Keyboard support for the open modal: Escape closes it, and Tab /
+     * Shift+Tab cycle through its controls instead of leaving the dialog.
+     * @param {KeyboardEvent} e - The keydown event.
+     */
+    handleModalKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeModal();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = [...this.modalDialog.querySelectorAll(FOCUSABLE)];
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || active === this.modalDialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !this.modalDialog.contains(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Updates every heart button for a recipe, in the results and in the modal.
+     * @param {string} id - The recipe ID.
+     * @param {boolean} isFavorite - The new favorite state.
+     */
+    updateFavoriteButtons(id, isFavorite) {
+        // Update the buttons in place, so a focused button keeps keyboard focus
+        document.querySelectorAll(`[data-action="toggle-favorite"][data-id="${CSS.escape(id)}"]`).forEach(button => {
+            button.setAttribute('aria-pressed', String(isFavorite));
+            button.setAttribute('aria-label', isFavorite ? 'Remove from favorites' : 'Add to favorites');
+            button.querySelector('i').className = `${isFavorite ? 'fas' : 'far'} fa-heart`;
+        });
+    }
+
+    /**
+     * Marks which view (search results or favorites) is showing in the header.
+     * @param {boolean} showingFavorites - Whether the favorites view is active.
+     */
+    setFavoritesView(showingFavorites) {
+        this.favoritesBtn.setAttribute('aria-pressed', String(showingFavorites));
+        this.favoritesBtn.classList.toggle('active', showingFavorites);
+    }
+
+    /**
+     * Shows or hides one of the panels below the header.
+     * @param {'shoppingList'|'planner'} name - Which panel.
+     * @param {boolean} [open] - Whether it should be visible; toggles when omitted.
+     */
+    togglePanel(name, open) {
+        const { button, panel } = this.panels[name];
+        const visible = open ?? panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !visible);
+        button.setAttribute('aria-expanded', String(visible));
+        button.classList.toggle('active', visible);
+    }
+
+    /**
+     * Displays the shopping list grouped by aisle, and its size on the header button.
+     * @param {ShoppingList} list - The shopping list (see shopping-list.js).
+     */
+    renderShoppingList(list) {
+        this.shoppingListBtn.querySelector('[data-role="count"]').textContent = list.size;
+
+        // Re-rendering replaces the checkboxes, so remember which one had focus
+        const focused = this.shoppingListContent.contains(document.activeElement) ? document.activeElement.dataset : null;
+
+        const groups = list.groups();
+        if (groups.length === 0) {
+            render(this.shoppingListContent, html`<p>Your shopping list is empty. Open a recipe and add its ingredients.</p>`);
+            return;
+        }
+
+        render(this.shoppingListContent, html`${groups.map(({ aisle, items }) => html`
+            <h3>${aisle}</h3>
+            <ul class="shopping-items">
+                ${items.map(item => html`
+                    <li class="${item.checked ? 'checked' : ''}">
+                        <label>
+                            <input type="checkbox" data-action="check-item" data-key="${item.key}" ${item.checked && 'checked'}>
+                            <span>${[item.quantity, item.name].filter(Boolean).join(' ')}</span>
+                        </label>
+                        <small>${item.recipes.join(', ')}</small>
+                        <button type="button" class="remove-item-btn" data-action="remove-item" data-key="${item.key}"
+                            aria-label="Remove ${item.name}"><i class="fas fa-times" aria-hidden="true"></i></button>
+                    </li>
+                `)}
+            </ul>
+        `)}`);
+
+        if (focused?.key) {
+            this.shoppingListContent
+                .querySelector(`[data-action="${focused.action}"][data-key="${CSS.escape(focused.key)}"]`)
+                ?.focus();
+        }
+    }
+
+    /**
+     * Displays the meal plan as a week grid and updates the undo/redo buttons.
+     * @param {MealPlanner} planner - The meal plan (see planner.js).
+     */
+    renderMealPlanner(planner) {
+        this.plannerPanel.querySelector('[data-action="undo"]').disabled = !planner.canUndo;
+        this.plannerPanel.querySelector('[data-action="redo"]').disabled = !planner.canRedo;
+
+        const slot = (day, meal) => {
+            const key = slotKey(day, meal);
+            const recipe = planner.get(key);
+            return html`
+                <td class="planner-slot" data-slot="${key}">
+                    ${recipe ? html`
+                        <div class="planned-recipe" draggable="true" data-slot="${key}">
+                            <button type="button" class="planned-open-btn" data-action="open-planned" data-id="${recipe.id}">${recipe.name}</button>
+                            <button type="button" class="remove-item-btn" data-action="remove-planned" data-slot="${key}"
+                                aria-label="Remove ${recipe.name} from ${day} ${meal.toLowerCase()}"><i class="fas fa-times" aria-hidden="true"></i></button>
+                        </div>
+                    ` : html`<span class="planner-empty" aria-label="Nothing planned">&ndash;</span>`}
+                </td>
+            `;
+        };
+
+        render(this.plannerGrid, html`
+            <table>
+                <thead>
+                    <tr><td></td>${DAYS.map(day => html`<th scope="col">${day}</th>`)}</tr>
+                </thead>
+                <tbody>
+                    ${MEALS.map(meal => html`
+                        <tr><th scope="row">${meal}</th>${DAYS.map(day => slot(day, meal))}</tr>
+                    `)}
+                </tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Shows a short message below the planner, e.g. after adding the week to the shopping list.
+     * @param {string} message - The text to show; announced to screen readers.
+     */
+    setPlannerStatus(message) {
+        this.plannerPanel.querySelector('[data-role="status"]').textContent = message;
+    }
+
+    /**
+     * Highlights the planner slot a recipe is being dragged over.
+     * @param {Element|null} slot - The slot cell, or null to remove the highlight.
+     */
+    highlightDropTarget(slot) {
+        this.plannerGrid.querySelectorAll('.drag-over').forEach(cell => {
+            if (cell !== slot) cell.classList.remove('drag-over');
+        });
+        slot?.classList.add('drag-over');
+    }
+
+    /**
+     * Fills the filter controls with the values the API offers.
+     * @param {Object} options - `{ category, area, ingredient }`, each an array of names.
+     */
+    populateFilterOptions({ category = [], area = [], ingredient = [] }) {
+        const addOptions = (parent, values) => values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            parent.appendChild(option);
+        });
+
+        addOptions(this.filterInputs.category, category);
+        addOptions(this.filterInputs.area, area);
+        addOptions(this.ingredientOptions, ingredient);
+    }
+
+    /**
+     * Hides the filter controls, e.g. when the filter lists could not be loaded.
+     */
+    hideFilters() {
+        this.filterBar.classList.add('hidden');
+    }
+
+    /**
+     * Shows the active filters as removable chips and syncs the filter controls.
+     * @param {Object} filters - `{ category, area, ingredient }`; empty values are inactive.
+     */
+    renderActiveFilters(filters) {
+        const labels = { category: 'Category', area: 'Cuisine', ingredient: 'Ingredient' };
+        const active = Object.entries(filters).filter(([, value]) => value);
+
+        Object.entries(filters).forEach(([kind, value]) => {
+            this.filterInputs[kind].value = value;
+        });
+
+        render(this.activeFilters, html`${active.map(([kind, value]) => html`
+            <button type="button" class="filter-chip" data-filter="${kind}"
+                aria-label="Remove ${labels[kind].toLowerCase()} filter ${value}">
+                ${labels[kind]}: ${value} <i class="fas fa-times" aria-hidden="true"></i>
+            </button>
+        `)}`);
+    }
+
+    /**
+     * Registers a callback that runs when the user closes the modal.
+     * @param {Function} listener - Called with no arguments.
+     */
+    onModalClose(listener) {
+        this.modalCloseListeners.push(listener);
     }
 
     /**
      * Closes the recipe details modal.
+     * Listeners are told about it (so the app can update the browser history),
+     * unless `silent` is set because the history itself caused the close.
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - Skip notifying the close listeners.
      */
-    closeModal() {
+    closeModal({ silent = false } = {}) {
+        if (this.modalContainer.classList.contains('hidden')) return;
         this.modalContainer.classList.add('hidden');
+        this.restoreFocus();
+        if (!silent) {
+            this.modalCloseListeners.forEach(listener => listener());
+        }
+    }
+
+    /**
+     * Reports the outcome of importing a recipe file.
+     * @param {string} message - What happened, or '' to clear the message.
+     * @param {Object} [options]
+     * @param {boolean} [options.isError=false] - Styles the message as an error.
+     */
+    setImportStatus(message, { isError = false } = {}) {
+        this.importStatus.textContent = message;
+        this.importStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Shows or hides the offline notice in the header.
+     * @param {boolean} online - Whether the browser has a network connection.
+     */
+    setConnectionStatus(online) {
+        this.connectionStatus.classList.toggle('hidden', online);
+        // Changing the text is what makes screen readers announce it
+        render(this.connectionStatus, online ? html`` : html`
+            <i class="fas fa-wifi" aria-hidden="true"></i>
+            You're offline. Favorites and recipes you've already viewed still work.
+        `);
     }
 
     /**
      * Clears the results container and shows a loading spinner.
      */
     showLoading() {
+        this.clearResults();
         this.resultsContainer.innerHTML = '<div class="loading-spinner"></div>';
     }
 
@@ -95,6 +675,7 @@ class UIManager {
      * Clears the results container.
      */
     clearResults() {
+        this.results.clear();
         this.resultsContainer.innerHTML = '';
     }
 }
@@ -0,0 +1,63 @@
+/**
+ * utils.js
+ * Small, framework-free helpers shared by the app's modules.
+ */
+
+/**
+ * Creates a debounced version of an async function.
+ * Only the last call within `delay` ms actually runs. Earlier calls reject with
+ * an AbortError, so callers can ignore them the same way as a cancelled fetch.
+ * This is the `debounceAsync` pattern from Part 4's advanced-patterns.js, plus
+ * a `cancel()` method for dropping a pending call.
+ * @param {Function} func - The async function to debounce.
+ * @param {number} delay - The quiet period in milliseconds.
+ * @returns {Function} The debounced function.
+ */
+export function debounceAsync(func, delay) {
+    let timeoutId = null;
+    let rejectPending = null;
+
+    const cancelPending = () => {
+        if (timeoutId) {
+            clearTimeout(timeoutId);
+            timeoutId = null;
+            rejectPending(new DOMException('Debounced', 'AbortError'));
+        }
+    };
+
+    const debounced = function(...args) {
+        cancelPending();
+        return new Promise((resolve, reject) => {
+            rejectPending = reject;
+            timeoutId = setTimeout(async () => {
+                timeoutId = null;
+                try {
+                    resolve(await func.apply(this, args));
+                } catch (error) {
+                    reject(error);
+                }
+            }, delay);
+        });
+    };
+
+    debounced.cancel = cancelPending;
+    return debounced;
+}
+
+/**
+ * Lets the user download generated text as a file.
+ * @param {string} filename - The suggested file name, e.g. "shopping-list.md".
+ * @param {string} content - The file contents.
+ * @param {string} [type='text/plain'] - The MIME type.
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -13,42 +13,27 @@ console.log("=====================================");
 // 1. ASYNC QUEUE - Process tasks one at a time
 // ============================================================================
 
+// The TaskScheduler from task-scheduler.js does the queueing. In Node it is
+// loaded with require(); in a browser, load cancellation.js and
+// task-scheduler.js with <script> tags before this file.
+const scheduling = typeof require === 'function'
+    ? require('./task-scheduler.js')
+    : { TaskScheduler };
+
+// A queue is a scheduler that runs one task at a time, in the order they were added
 class AsyncQueue {
     constructor() {
-        this.queue = [];
-        this.processing = false;
+        this.scheduler = new scheduling.TaskScheduler({ concurrency: 1 });
     }
 
-    async add(asyncFunction) {
-        return new Promise((resolve, reject) => {
-            this.queue.push({
-                asyncFunction,
-                resolve,
-                reject
-            });
-            this.process();
-        });
+    // Aborting `signal` takes the task out of the queue (see cancellation.js)
+    add(asyncFunction, { signal } = {}) {
+        return this.scheduler.run(({ signal: taskSignal }) => asyncFunction({ signal: taskSignal }), { signal });
     }
 
-    async process() {
-        if (this.processing || this.queue.length === 0) {
-            return;
-        }
-
-        this.processing = true;
-
-        while (this.queue.length > 0) {
-            const { asyncFunction, resolve, reject } = this.queue.shift();
-            
-            try {
-                const result = await asyncFunction();
-                resolve(result);
-            } catch (error) {
-                reject(error);
-            }
-        }
-
-        this.processing = false;
+    // Resolves once every task added so far has finished
+    onIdle() {
+        return this.scheduler.onIdle();
     }
 }
 
@@ -82,6 +67,14 @@ async function demonstrateAsyncQueue() {
 // 2. RETRY MECHANISM - Retry failed operations
 // ============================================================================
 
+// Retrying only helps if the service comes back soon. An operation that goes
+// through a CircuitBreaker (circuit-breaker.js, see section 6) fails with a
+// CircuitOpenError once the service looks down, and then the retrying stops.
+// In a browser, load circuit-breaker.js with a <script> tag before this file.
+const breaking = typeof require === 'function'
+    ? require('./circuit-breaker.js')
+    : { CircuitBreaker, CircuitOpenError };
+
 async function retryOperation(operation, maxRetries = 3, delay = 1000) {
     let lastError;
     
@@ -94,6 +87,11 @@ async function retryOperation(operation, maxRetries = 3, delay = 1000) {
         } catch (error) {
             lastError = error;
             console.log(`❌ Attempt ${attempt} failed:`, error.message);
+
+            // The circuit is open: the service is down, so stop instead of waiting
+            if (error instanceof breaking.CircuitOpenError) {
+                throw error;
+            }
             
             if (attempt < maxRetries) {
                 console.log(`⏳ Waiting ${delay}ms before retry...`);
@@ -297,6 +295,44 @@ async function demonstratePerformanceMonitoring() {
     await monitoredSlow();
 }
 
+// ============================================================================
+// 6. CIRCUIT BREAKER - Stop calling a service that is down
+// ============================================================================
+
+async function demonstrateCircuitBreaker() {
+    console.log("\n🔌 6. Circuit Breaker Example");
+    console.log("-----------------------------");
+
+    // Opens once half of the last 4+ calls failed, and tries again after 2 seconds
+    const breaker = new breaking.CircuitBreaker({
+        name: 'weather-service',
+        failureThreshold: 0.5,
+        minimumRequests: 4,
+        cooldown: 2000
+    });
+    breaker.on('state-change', ({ from, to }) => console.log(`🔌 Circuit ${from} → ${to}`));
+
+    // A service that is down for now
+    let serviceIsUp = false;
+    const callService = breaker.wrap(async () => {
+        console.log("Calling the weather service...");
+        if (!serviceIsUp) throw new Error("Service unavailable");
+        return "Sunny";
+    });
+
+    // Four failed attempts open the circuit; the fifth fails fast, and retryOperation gives up
+    try {
+        await retryOperation(callService, 10, 100);
+    } catch (error) {
+        console.log("Gave up:", error.message);
+    }
+
+    // After the cool-down, one trial call goes through; it succeeds, so the circuit closes
+    serviceIsUp = true;
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    console.log("Result:", await callService());
+}
+
 // ============================================================================
 // MAIN EXECUTION
 // ============================================================================
@@ -316,6 +352,9 @@ async function runAllExamples() {
         await new Promise(resolve => setTimeout(resolve, 1000));
         
         await demonstratePerformanceMonitoring();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        await demonstrateCircuitBreaker();
         
         console.log("\n🎉 All advanced patterns demonstrated!");
         console.log("=====================================");
@@ -334,3 +373,4 @@ async function runAllExamples() {
 // demonstrateDebouncing();
 // demonstrateMemoization();
 // demonstratePerformanceMonitoring();
+// demonstrateCircuitBreaker();
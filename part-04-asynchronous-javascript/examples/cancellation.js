@@ -0,0 +1,99 @@
+/**
+ * Cancellation
+ * Shared helpers for cancelling async work with an AbortSignal.
+ *
+ * Every Part 4 utility that accepts a `signal` (HttpClient, TaskScheduler and
+ * the exercise solutions) rejects with the same AbortError once it is aborted,
+ * so callers can handle cancellation in one way:
+ *
+ *   const controller = new AbortController();
+ *   retryWithBackoff(({ signal }) => fetch(url, { signal }), { signal: controller.signal })
+ *       .catch(error => {
+ *           if (error instanceof AbortError) return; // cancelled on purpose
+ *           throw error;
+ *       });
+ *   controller.abort();
+ *
+ * Load this file before the files that use it (in Node they require() it).
+ */
+
+// The operation was cancelled with an AbortSignal.
+// `cause` holds the signal's reason, e.g. the value passed to controller.abort(reason).
+class AbortError extends Error {
+    constructor(message = 'The operation was aborted', options) {
+        super(message, options);
+        // Subclasses, e.g. TaskCancelledError, keep their own name
+        this.name = new.target.name;
+    }
+}
+
+/**
+ * The error to reject with once a signal has aborted. An AbortError passed to
+ * controller.abort() is used as it is; any other reason becomes its cause.
+ * @param {AbortSignal} signal - An aborted signal.
+ * @returns {AbortError}
+ */
+function toAbortError(signal) {
+    if (signal.reason instanceof AbortError) {
+        return signal.reason;
+    }
+    return new AbortError(undefined, { cause: signal.reason });
+}
+
+/**
+ * Throws if the signal has already aborted. Call it before starting work.
+ * @param {AbortSignal} [signal]
+ * @throws {AbortError}
+ */
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw toAbortError(signal);
+    }
+}
+
+/**
+ * Calls `listener` once when the signal aborts (right away if it already has).
+ * @param {AbortSignal} [signal]
+ * @param {Function} listener - Called with the AbortError.
+ * @returns {Function} A function that removes the listener; call it once the work is done.
+ */
+function onAbort(signal, listener) {
+    if (!signal) return () => {};
+    if (signal.aborted) {
+        listener(toAbortError(signal));
+        return () => {};
+    }
+    const handler = () => listener(toAbortError(signal));
+    signal.addEventListener('abort', handler, { once: true });
+    return () => signal.removeEventListener('abort', handler);
+}
+
+/**
+ * Waits for `ms` milliseconds, or rejects as soon as the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            removeListener();
+            resolve();
+        }, ms);
+        const removeListener = onAbort(signal, (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+// Export for use in other files (see http-client.js, task-scheduler.js and exercises/solutions.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AbortError,
+        toAbortError,
+        throwIfAborted,
+        onAbort,
+        sleep
+    };
+}
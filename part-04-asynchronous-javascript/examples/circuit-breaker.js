@@ -0,0 +1,369 @@
+/**
+ * Circuit Breaker
+ * Stops calling a dependency that keeps failing, so callers fail fast instead
+ * of waiting for timeouts, and the dependency gets time to recover.
+ * Retrying helps with short hiccups; a breaker helps when something is down.
+ *
+ *   - closed:    calls go through. Once too many of the recent calls failed
+ *                (a failure rate over a rolling window), the circuit opens.
+ *   - open:      calls fail right away with a CircuitOpenError, or get the
+ *                fallback's result, without touching the dependency.
+ *   - half-open: after the cool-down, a few trial calls go through. If they
+ *                succeed the circuit closes; if one fails it opens again.
+ *                Trials still pending after another cool-down are given up
+ *                on, so a call that never settles can't hold their slots.
+ *
+ * Usage:
+ *   const breaker = new CircuitBreaker({ name: 'users-api', failureThreshold: 0.5, cooldown: 10000 });
+ *   breaker.on('state-change', ({ from, to }) => console.log(`users-api: ${from} → ${to}`));
+ *
+ *   const users = await breaker.execute(() => fetchUsers(), { fallback: () => cachedUsers });
+ *
+ * It also plugs into retryWithBackoff and httpMiddleware (exercises/solutions.js)
+ * and into HttpClient (its `circuitBreaker` option).
+ */
+
+// The shared AbortError, from cancellation.js. In Node it is loaded with
+// require(); in a browser, load cancellation.js first.
+// (Scripts on one page share their top-level names, hence the specific name.)
+const breakerCancellation = typeof require === 'function'
+    ? require('./cancellation.js')
+    : { AbortError, throwIfAborted };
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+// The circuit is open, so the call was not made
+class CircuitOpenError extends Error {
+    /**
+     * @param {string} name - The breaker's name.
+     * @param {number} retryAfter - Milliseconds until trial calls are allowed again.
+     */
+    constructor(name, retryAfter) {
+        super(`The "${name}" circuit is open`);
+        this.name = 'CircuitOpenError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+// ============================================================================
+// ROLLING WINDOW
+// ============================================================================
+
+/**
+ * Counts successes and failures over the last `duration` ms. The time is split
+ * into buckets, so memory stays the same however many calls are made; old
+ * buckets are dropped as the window moves on.
+ */
+class RollingWindow {
+    /**
+     * @param {number} duration - Milliseconds.
+     * @param {number} bucketCount - More buckets make the window move more smoothly.
+     */
+    constructor(duration, bucketCount) {
+        this.duration = duration;
+        this.bucketDuration = duration / bucketCount;
+        this.buckets = []; // { start, successes, failures }, oldest first
+    }
+
+    record(now, failed) {
+        this.prune(now);
+        const start = Math.floor(now / this.bucketDuration) * this.bucketDuration;
+        let bucket = this.buckets[this.buckets.length - 1];
+        if (!bucket || bucket.start !== start) {
+            bucket = { start, successes: 0, failures: 0 };
+            this.buckets.push(bucket);
+        }
+        if (failed) {
+            bucket.failures++;
+        } else {
+            bucket.successes++;
+        }
+    }
+
+    /**
+     * @returns {{ successes: number, failures: number, total: number }}
+     */
+    totals(now) {
+        this.prune(now);
+        const totals = { successes: 0, failures: 0, total: 0 };
+        this.buckets.forEach(bucket => {
+            totals.successes += bucket.successes;
+            totals.failures += bucket.failures;
+        });
+        totals.total = totals.successes + totals.failures;
+        return totals;
+    }
+
+    prune(now) {
+        while (this.buckets.length > 0 && this.buckets[0].start + this.bucketDuration <= now - this.duration) {
+            this.buckets.shift();
+        }
+    }
+
+    clear() {
+        this.buckets = [];
+    }
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+const CIRCUIT_EVENTS = ['state-change', 'success', 'failure', 'rejected'];
+
+class CircuitBreaker {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name='circuit'] - Shown in errors, e.g. the service name.
+     * @param {number} [options.failureThreshold=0.5] - The failure rate (0-1) that opens the circuit.
+     * @param {number} [options.minimumRequests=5] - Calls needed in the window before the rate
+     *   counts, so one failure out of one call doesn't open it.
+     * @param {number} [options.windowSize=10000] - The rolling window, in ms.
+     * @param {number} [options.windowBuckets=10] - How many parts the window is split into.
+     * @param {number} [options.cooldown=30000] - How long the circuit stays open, in ms.
+     * @param {number} [options.halfOpenRequests=1] - Trial calls allowed when half-open; all of
+     *   them must succeed to close the circuit. If they haven't all settled within `cooldown`
+     *   ms, new trials are let through and the late ones no longer count.
+     * @param {Function} [options.isFailure] - Decides whether an error counts against the
+     *   dependency. By default everything does except an AbortError (the caller cancelled),
+     *   whether it is the shared one from cancellation.js or the DOMException from fetch.
+     *   For HTTP, e.g. `error => !(error instanceof HttpError) || error.status >= 500`;
+     *   HttpClient already leaves out 4xx responses other than 408 and 429.
+     * @param {Function} [options.fallback] - Called with the error when the circuit is open
+     *   or a call fails; its result is returned instead.
+     */
+    constructor({
+        name = 'circuit',
+        failureThreshold = 0.5,
+        minimumRequests = 5,
+        windowSize = 10000,
+        windowBuckets = 10,
+        cooldown = 30000,
+        halfOpenRequests = 1,
+        isFailure = error => !(error instanceof breakerCancellation.AbortError || error?.name === 'AbortError'),
+        fallback = null
+    } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.minimumRequests = minimumRequests;
+        this.cooldown = cooldown;
+        this.halfOpenRequests = halfOpenRequests;
+        this.isFailure = isFailure;
+        this.fallback = fallback;
+        this.window = new RollingWindow(windowSize, windowBuckets);
+        this.currentState = 'closed';
+        this.openedAt = null;
+        // Trial calls started / succeeded in the current half-open period, which
+        // began at halfOpenedAt; trialPeriod tells the periods apart
+        this.trials = 0;
+        this.trialSuccesses = 0;
+        this.trialPeriod = 0;
+        this.halfOpenedAt = null;
+        this.listeners = {};
+        CIRCUIT_EVENTS.forEach(event => { this.listeners[event] = []; });
+    }
+
+    /**
+     * 'closed', 'open' or 'half-open'. Reading it moves an open circuit whose
+     * cool-down is over to half-open.
+     */
+    get state() {
+        this.refreshState();
+        return this.currentState;
+    }
+
+    /**
+     * Runs an operation through the breaker.
+     * @param {Function} operation - Called with `{ signal }`; returns a promise.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Passed on to the operation.
+     * @param {Function} [options.fallback] - Overrides the breaker's fallback for this call.
+     * @param {Function} [options.isFailure] - Overrides the breaker's isFailure for this call.
+     * @returns {Promise<*>}
+     * @throws {CircuitOpenError} If the circuit is open and there is no fallback.
+     */
+    async execute(operation, { signal, fallback = this.fallback, isFailure = this.isFailure } = {}) {
+        breakerCancellation.throwIfAborted(signal);
+        this.refreshState();
+
+        if (!this.allowRequest()) {
+            const error = new CircuitOpenError(this.name, this.retryAfter());
+            this.emit('rejected', { breaker: this, error });
+            if (fallback) return fallback(error);
+            throw error;
+        }
+
+        // The half-open period this call is a trial in, if it is one
+        const trial = this.currentState === 'half-open' ? this.trialPeriod : null;
+        if (trial !== null) this.trials++;
+
+        try {
+            const result = await operation({ signal });
+            this.onSuccess(trial);
+            return result;
+        } catch (error) {
+            if (!isFailure(error)) {
+                // Not the dependency's fault: give the trial slot back and report the error as it is
+                if (this.isCurrentTrial(trial)) this.trials--;
+                throw error;
+            }
+            this.onFailure(error, trial);
+            if (fallback) return fallback(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Wraps a function, so every call to it goes through the breaker.
+     * @param {Function} fn - An async function.
+     * @returns {Function}
+     */
+    wrap(fn) {
+        return (...args) => this.execute(() => fn(...args));
+    }
+
+    allowRequest() {
+        if (this.currentState === 'closed') return true;
+        if (this.currentState === 'half-open') return this.trials < this.halfOpenRequests;
+        return false;
+    }
+
+    /**
+     * @returns {number} Milliseconds until the circuit lets trial calls through (0 once it does).
+     */
+    retryAfter() {
+        if (this.currentState !== 'open') return 0;
+        return Math.max(0, this.openedAt + this.cooldown - Date.now());
+    }
+
+    /**
+     * Whether a call's trial still counts: it was one, and it belongs to the
+     * current half-open period (not one that ended, or was given up on, meanwhile).
+     * @param {number|null} trial - The period the call was a trial in, or null.
+     * @returns {boolean}
+     */
+    isCurrentTrial(trial) {
+        return trial !== null && trial === this.trialPeriod && this.currentState === 'half-open';
+    }
+
+    onSuccess(trial) {
+        this.window.record(Date.now(), false);
+        this.emit('success', { breaker: this });
+        if (this.isCurrentTrial(trial)) {
+            this.trialSuccesses++;
+            if (this.trialSuccesses >= this.halfOpenRequests) {
+                this.transition('closed');
+            }
+        }
+    }
+
+    onFailure(error, trial) {
+        const now = Date.now();
+        this.window.record(now, true);
+        this.emit('failure', { breaker: this, error });
+
+        if (this.isCurrentTrial(trial)) {
+            this.transition('open');
+        } else if (this.currentState === 'closed') {
+            const { failures, total } = this.window.totals(now);
+            if (total >= this.minimumRequests && failures / total >= this.failureThreshold) {
+                this.transition('open');
+            }
+        }
+    }
+
+    refreshState() {
+        if (this.currentState === 'open' && this.retryAfter() === 0) {
+            this.transition('half-open');
+        } else if (this.currentState === 'half-open' && !this.allowRequest()
+            && Date.now() - this.halfOpenedAt >= this.cooldown) {
+            // The trials have had a whole cool-down to settle: stop waiting for them
+            this.startTrials();
+        }
+    }
+
+    // Starts a new half-open period, with all its trial slots free
+    startTrials() {
+        this.trialPeriod++;
+        this.halfOpenedAt = Date.now();
+        this.trials = 0;
+        this.trialSuccesses = 0;
+    }
+
+    transition(to) {
+        const from = this.currentState;
+        this.currentState = to;
+        if (to === 'open') {
+            this.openedAt = Date.now();
+        } else if (to === 'half-open') {
+            this.startTrials();
+        } else {
+            // Start counting afresh, so old failures can't open it again right away
+            this.window.clear();
+        }
+        this.emit('state-change', { breaker: this, from, to });
+    }
+
+    /**
+     * Closes the circuit and forgets past calls, e.g. after fixing the dependency by hand.
+     */
+    reset() {
+        if (this.currentState !== 'closed') {
+            this.transition('closed');
+        }
+        this.window.clear();
+    }
+
+    /**
+     * @returns {{ state: string, successes: number, failures: number, failureRate: number }}
+     *   Counts over the rolling window.
+     */
+    stats() {
+        const { successes, failures, total } = this.window.totals(Date.now());
+        return {
+            state: this.state,
+            successes,
+            failures,
+            failureRate: total > 0 ? failures / total : 0
+        };
+    }
+
+    /**
+     * Registers an event listener.
+     * @param {'state-change'|'success'|'failure'|'rejected'} event
+     * @param {Function} listener - Called with `{ breaker, from, to }` for "state-change",
+     *   `{ breaker, error }` for "failure" and "rejected", and `{ breaker }` for "success".
+     * @returns {Function} A function that removes the listener again.
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        this.listeners[event].push(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+        };
+    }
+
+    emit(event, details) {
+        this.listeners[event].forEach(listener => {
+            // A broken listener must not break the breaker
+            try {
+                listener(details);
+            } catch (error) {
+                console.error(`Error in a "${event}" listener:`, error);
+            }
+        });
+    }
+}
+
+// Export for use in other files (see advanced-patterns.js and exercises/solutions.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CircuitBreaker,
+        CircuitOpenError,
+        RollingWindow
+    };
+}
@@ -66,30 +66,28 @@ async function multipleRequestsExample() {
     }
 }
 
+// Examples 4-6 use the HttpClient from http-client.js, which handles timeouts,
+// retries, headers and errors in one place. In Node it is loaded with require();
+// in a browser, load cancellation.js and http-client.js with <script> tags before this file.
+const http = typeof require === 'function'
+    ? require('./http-client.js')
+    : { HttpClient, TimeoutError, HttpError };
+
+const jsonPlaceholder = new http.HttpClient({
+    baseUrl: 'https://jsonplaceholder.typicode.com/',
+    headers: { 'Accept': 'application/json' }
+});
+
 // 4. Request with Timeout
 async function fetchWithTimeout(url, timeout = 5000) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-    
     try {
         console.log(`\n4. Request with ${timeout}ms timeout:`);
-        const response = await fetch(url, {
-            signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        // The client aborts the request after `timeout` ms and checks response.ok
+        const data = await jsonPlaceholder.get(url, { timeout });
         console.log("Data received within timeout:", data.slice(0, 2)); // Show first 2 items
         return data;
     } catch (error) {
-        clearTimeout(timeoutId);
-        
-        if (error.name === 'AbortError') {
+        if (error instanceof http.TimeoutError) {
             console.error("Request timed out");
         } else {
             console.error("Timeout fetch error:", error.message);
@@ -100,28 +98,17 @@ async function fetchWithTimeout(url, timeout = 5000) {
 
 // 5. Retry Mechanism
 async function fetchWithRetry(url, maxRetries = 3, delay = 1000) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(`\n5. Fetch attempt ${attempt}/${maxRetries}:`);
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            console.log("Retry fetch successful:", data.slice(0, 2));
-            return data;
-        } catch (error) {
-            console.warn(`Attempt ${attempt} failed:`, error.message);
-            
-            if (attempt === maxRetries) {
-                throw new Error(`Failed after ${maxRetries} attempts: ${error.message}`);
-            }
-            
-            // Wait before retrying
-            await new Promise(resolve => setTimeout(resolve, delay * attempt));
-        }
+    console.log(`\n5. Fetch with up to ${maxRetries} attempts:`);
+    try {
+        // Network errors, timeouts and 5xx/429 responses are retried, waiting
+        // about `delay`, then twice as long, and so on. 404s fail immediately.
+        const data = await jsonPlaceholder.get(url, {
+            retry: { retries: maxRetries - 1, baseDelay: delay }
+        });
+        console.log("Retry fetch successful:", data.slice(0, 2));
+        return data;
+    } catch (error) {
+        throw new Error(`Failed after ${maxRetries} attempts: ${error.message}`, { cause: error });
     }
 }
 
@@ -129,28 +116,37 @@ async function fetchWithRetry(url, maxRetries = 3, delay = 1000) {
 async function advancedFetchExample() {
     try {
         console.log("\n6. Advanced fetch with custom headers:");
-        const response = await fetch('https://jsonplaceholder.typicode.com/posts/1', {
-            method: 'GET',
+        // A client with its own default headers, and an interceptor that adds one more to every request
+        const client = new http.HttpClient({
+            baseUrl: 'https://jsonplaceholder.typicode.com/',
             headers: {
                 'Accept': 'application/json',
-                'User-Agent': 'JavaScript-Fetch-Example',
                 'X-Custom-Header': 'CustomValue'
-            },
-            mode: 'cors',
-            cache: 'no-cache'
+            }
         });
-        
+        client.interceptors.request.use(config => ({
+            ...config,
+            headers: { ...config.headers, 'X-Request-Time': new Date().toISOString() }
+        }));
+
+        // 'response' returns the Response itself, so we can look at its headers
+        const response = await client.get('posts/1', { responseType: 'response' });
+
         // Log response headers
         console.log("Response headers:");
         for (const [key, value] of response.headers.entries()) {
             console.log(`  ${key}: ${value}`);
         }
-        
+
         const post = await response.json();
         console.log("Post data:", post);
         return post;
     } catch (error) {
-        console.error("Advanced fetch error:", error.message);
+        if (error instanceof http.HttpError) {
+            console.error(`Advanced fetch error: the server answered ${error.status}`);
+        } else {
+            console.error("Advanced fetch error:", error.message);
+        }
     }
 }
 
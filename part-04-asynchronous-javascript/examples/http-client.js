@@ -0,0 +1,413 @@
+/**
+ * HTTP Client
+ * One reusable fetch wrapper instead of a separate helper for every concern.
+ * It combines the ideas from fetch-api.js (timeouts, retries, custom headers,
+ * different response types) in a single place:
+ *
+ *   - a base URL and default headers
+ *   - a timeout per request, using AbortController
+ *   - retries with exponential backoff and jitter
+ *   - request and response interceptors
+ *   - an optional circuit breaker (circuit-breaker.js), to fail fast while a server is down
+ *   - the body parsed as JSON, text or a Blob, based on the Content-Type
+ *   - one family of error classes, so callers can tell failures apart
+ *
+ * The Recipe Finder project in Part 3 uses this same file: its index.html
+ * loads it, and its http.js hands the classes to the app's ES modules. Its
+ * tests (projects/solution/test/http.test.js) run against this file too.
+ *
+ * Usage:
+ *   const api = new HttpClient({ baseUrl: 'https://jsonplaceholder.typicode.com/', timeout: 5000 });
+ *   const user = await api.get('users/1');
+ *   const post = await api.post('posts', { body: { title: 'Hello' } });
+ */
+
+// Cancellation (AbortError, sleep) is shared with the other Part 4 utilities.
+// In Node it is loaded with require(); in a browser, load cancellation.js first.
+// (Scripts on one page share their top-level names, hence the specific name.)
+const clientCancellation = typeof require === 'function'
+    ? require('./cancellation.js')
+    : { AbortError, toAbortError, throwIfAborted, sleep };
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+// Base class: every failure of an HttpClient request is a RequestError
+class RequestError extends Error {
+    /**
+     * @param {string} message - What went wrong.
+     * @param {Object} [options]
+     * @param {Error} [options.cause] - The underlying error, if any.
+     * @param {Object} [options.request] - The request config that failed.
+     */
+    constructor(message, { cause, request } = {}) {
+        super(message, { cause });
+        // Use the subclass name, e.g. "HttpError", so `error.name` identifies the type
+        this.name = new.target.name;
+        this.request = request;
+    }
+}
+
+// No response arrived: offline, DNS failure, CORS, ...
+class NetworkError extends RequestError {}
+
+// No response arrived in time. A kind of network error, so it is retried the same way.
+class TimeoutError extends NetworkError {}
+
+// The server responded with an error status (4xx or 5xx)
+class HttpError extends RequestError {
+    constructor(response, body, options) {
+        super(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`, options);
+        this.status = response.status;
+        this.response = response;
+        // The parsed error body, e.g. { message: "Not found" }, when there is one
+        this.body = body;
+    }
+}
+
+// The body could not be parsed, e.g. invalid JSON
+class ParseError extends RequestError {}
+
+/**
+ * Whether an error is the client's fault: a 4xx response, except 408 (Request
+ * Timeout) and 429 (Too Many Requests), which are about the server's state.
+ * Such errors say nothing about the server's health, so they don't count
+ * against a circuit breaker.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isClientError(error) {
+    return error instanceof HttpError && error.status >= 400 && error.status < 500 &&
+        error.status !== 408 && error.status !== 429;
+}
+
+// A request cancelled with its AbortSignal rejects with the shared AbortError
+// from cancellation.js; it is not a RequestError.
+
+// ============================================================================
+// INTERCEPTORS
+// ============================================================================
+
+/**
+ * An ordered list of interceptor functions.
+ * Each one receives a value, and returns it (possibly changed) or a new one.
+ */
+class InterceptorList {
+    constructor() {
+        this.handlers = [];
+    }
+
+    /**
+     * Adds an interceptor.
+     * @param {Function} onFulfilled - Called with the value; may be async.
+     * @param {Function} [onRejected] - Called with the error (response interceptors only).
+     *   It may return a value to recover, or throw.
+     * @returns {Function} A function that removes the interceptor again.
+     */
+    use(onFulfilled, onRejected) {
+        const handler = { onFulfilled, onRejected };
+        this.handlers.push(handler);
+        return () => {
+            this.handlers = this.handlers.filter(h => h !== handler);
+        };
+    }
+}
+
+// ============================================================================
+// HTTP CLIENT
+// ============================================================================
+
+const DEFAULT_RETRY = {
+    retries: 0,         // extra attempts after the first one
+    baseDelay: 300,     // ms before the first retry; doubles every time
+    maxDelay: 10000,    // never wait longer than this
+    jitter: true,       // randomise each delay, so many clients don't retry in sync
+    // Only these statuses are worth retrying: timeouts, rate limits and server errors
+    statuses: [408, 425, 429, 500, 502, 503, 504],
+    // Retrying a POST could create the same thing twice, so it is off by default
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+class HttpClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl=''] - Prepended to relative paths.
+     * @param {Object} [options.headers={}] - Sent with every request.
+     * @param {number} [options.timeout=10000] - Milliseconds per attempt; 0 for none.
+     * @param {Object} [options.retry] - Overrides DEFAULT_RETRY.
+     * @param {Function} [options.fetch] - The fetch implementation, e.g. a mock in tests.
+     * @param {CircuitBreaker} [options.circuitBreaker] - Every attempt goes through it. While it
+     *   is open, requests fail with a CircuitOpenError without calling fetch, and are not retried.
+     *   Client errors (see isClientError) and cancelled requests don't count as failures.
+     */
+    constructor({ baseUrl = '', headers = {}, timeout = 10000, retry = {}, fetch: fetchImpl, circuitBreaker = null } = {}) {
+        this.baseUrl = baseUrl;
+        this.headers = headers;
+        this.timeout = timeout;
+        this.retry = { ...DEFAULT_RETRY, ...retry };
+        this.fetch = fetchImpl || ((...args) => fetch(...args));
+        this.circuitBreaker = circuitBreaker;
+        this.interceptors = {
+            request: new InterceptorList(),
+            response: new InterceptorList()
+        };
+    }
+
+    /**
+     * Sends a request and returns the parsed response body.
+     * @param {string} path - A path relative to baseUrl, or an absolute URL.
+     * @param {Object} [options]
+     * @param {string} [options.method='GET']
+     * @param {Object} [options.headers] - Merged over the default headers.
+     * @param {Object} [options.query] - Added to the URL as `?key=value`.
+     * @param {*} [options.body] - Plain objects and arrays are sent as JSON.
+     * @param {number} [options.timeout] - Overrides the client's timeout.
+     * @param {Object|false} [options.retry] - Overrides the retry policy; `false` disables it.
+     * @param {AbortSignal} [options.signal] - Cancels the request, including retries.
+     * @param {'auto'|'json'|'text'|'blob'|'response'} [options.responseType='auto'] -
+     *   How to read the body; 'auto' decides by Content-Type, 'response' returns the Response itself.
+     * @returns {Promise<*>}
+     * @throws {NetworkError|TimeoutError|HttpError|ParseError|AbortError}
+     */
+    async request(path, options = {}) {
+        let config = {
+            method: 'GET',
+            responseType: 'auto',
+            timeout: this.timeout,
+            ...options,
+            url: this.buildUrl(path, options.query),
+            headers: { ...this.headers, ...options.headers },
+            retry: options.retry === false ? { ...this.retry, retries: 0 } : { ...this.retry, ...options.retry }
+        };
+        config.method = config.method.toUpperCase();
+
+        // Request interceptors can change the config, e.g. add an auth header
+        for (const { onFulfilled } of this.interceptors.request.handlers) {
+            config = (await onFulfilled(config)) || config;
+        }
+
+        let result;
+        try {
+            result = await this.send(config);
+        } catch (error) {
+            return this.interceptError(error, config);
+        }
+
+        // Response interceptors see the parsed result and can transform it
+        for (const { onFulfilled } of this.interceptors.response.handlers) {
+            if (onFulfilled) result = await onFulfilled(result, config);
+        }
+        return result;
+    }
+
+    /**
+     * Lets the error handlers of the response interceptors recover from an error.
+     * The first one that returns a value wins; otherwise the error is rethrown.
+     */
+    async interceptError(error, config) {
+        for (const { onRejected } of this.interceptors.response.handlers) {
+            if (!onRejected) continue;
+            try {
+                return await onRejected(error, config);
+            } catch (nextError) {
+                error = nextError;
+            }
+        }
+        throw error;
+    }
+
+    /**
+     * Runs the attempts for one request, waiting between them.
+     */
+    async send(config) {
+        const { retries } = config.retry;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await (this.circuitBreaker
+                    ? this.circuitBreaker.execute(() => this.attempt(config), {
+                        signal: config.signal,
+                        isFailure: error => !isClientError(error) && this.circuitBreaker.isFailure(error)
+                    })
+                    : this.attempt(config));
+            } catch (error) {
+                if (attempt >= retries || !this.shouldRetry(error, config)) {
+                    throw error;
+                }
+                const delay = this.retryDelay(attempt, config.retry, error);
+                console.warn(`${config.method} ${config.url} failed (${error.message}), retrying in ${delay}ms`);
+                await clientCancellation.sleep(delay, config.signal);
+            }
+        }
+    }
+
+    /**
+     * Makes one fetch call, with its own timeout.
+     */
+    async attempt(config) {
+        const { url, method, headers, body, signal, timeout } = config;
+        clientCancellation.throwIfAborted(signal);
+
+        // One controller for both ways a request can end early
+        const controller = new AbortController();
+        let timedOut = false;
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const timer = timeout > 0 && setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        // The timer keeps running while the body is read, so reading it can end early
+        // too. Either way fetch only reports a bare AbortError; say which one it was.
+        const endedEarly = (error) => {
+            if (timedOut) return new TimeoutError(`${method} ${url} timed out after ${timeout}ms`, { cause: error, request: config });
+            if (signal?.aborted) return clientCancellation.toAbortError(signal);
+            return null;
+        };
+
+        try {
+            let response;
+            try {
+                response = await this.fetch(url, {
+                    method,
+                    headers: this.encodeHeaders(headers, body),
+                    body: this.encodeBody(body),
+                    signal: controller.signal
+                });
+            } catch (error) {
+                throw endedEarly(error) || new NetworkError(`Could not reach ${url}`, { cause: error, request: config });
+            }
+
+            if (!response.ok) {
+                // Error bodies often explain the problem, so read them too, but never fail on them
+                const errorBody = await this.parse(response, 'auto').catch(() => null);
+                throw new HttpError(response, errorBody, { request: config });
+            }
+            try {
+                return await this.parse(response, config.responseType, config);
+            } catch (error) {
+                throw endedEarly(error) || error;
+            }
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Reads the body of a response.
+     * @param {Response} response
+     * @param {'auto'|'json'|'text'|'blob'|'response'} responseType
+     */
+    async parse(response, responseType, config) {
+        if (responseType === 'response') return response;
+        // "No Content": nothing to parse
+        if (response.status === 204 || response.status === 205 || response.headers.get('content-length') === '0') {
+            return null;
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        const type = responseType !== 'auto' ? responseType
+            : /[/+]json\b/.test(contentType) ? 'json'
+            : /^text\/|xml|javascript|urlencoded/.test(contentType) || !contentType ? 'text'
+            : 'blob';
+
+        if (type === 'json') {
+            const text = await response.text();
+            try {
+                return text ? JSON.parse(text) : null;
+            } catch (error) {
+                throw new ParseError(`The response from ${response.url || config?.url} was not valid JSON`, { cause: error, request: config });
+            }
+        }
+        return type === 'blob' ? response.blob() : response.text();
+    }
+
+    /**
+     * Decides whether a failed attempt is worth repeating.
+     */
+    shouldRetry(error, { method, retry }) {
+        if (!retry.methods.includes(method)) return false;
+        if (error instanceof HttpError) return retry.statuses.includes(error.status);
+        // Includes TimeoutError
+        return error instanceof NetworkError;
+    }
+
+    /**
+     * How long to wait before the next attempt: baseDelay, 2 × baseDelay,
+     * 4 × baseDelay, ... up to maxDelay. With jitter, a random time between
+     * half and all of that. A server's Retry-After header takes precedence.
+     */
+    retryDelay(attempt, { baseDelay, maxDelay, jitter }, error) {
+        const retryAfter = Number(error.response?.headers.get('retry-after'));
+        if (retryAfter > 0) {
+            return Math.min(retryAfter * 1000, maxDelay);
+        }
+        const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+        return Math.round(jitter ? delay / 2 + Math.random() * delay / 2 : delay);
+    }
+
+    buildUrl(path, query) {
+        const url = /^[a-z][a-z\d+.-]*:/i.test(path) ? path : this.baseUrl + path;
+        if (!query) return url;
+
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) params.append(key, value);
+        });
+        const search = params.toString();
+        return search ? `${url}${url.includes('?') ? '&' : '?'}${search}` : url;
+    }
+
+    // Plain objects and arrays are sent as JSON; FormData, Blob, strings, etc. as they are
+    isJsonBody(body) {
+        return body !== undefined && body !== null &&
+            (Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype);
+    }
+
+    encodeBody(body) {
+        return this.isJsonBody(body) ? JSON.stringify(body) : body;
+    }
+
+    encodeHeaders(headers, body) {
+        const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+        return this.isJsonBody(body) && !hasContentType
+            ? { ...headers, 'Content-Type': 'application/json' }
+            : headers;
+    }
+
+    get(path, options) {
+        return this.request(path, { ...options, method: 'GET' });
+    }
+
+    delete(path, options) {
+        return this.request(path, { ...options, method: 'DELETE' });
+    }
+
+    post(path, options) {
+        return this.request(path, { ...options, method: 'POST' });
+    }
+
+    put(path, options) {
+        return this.request(path, { ...options, method: 'PUT' });
+    }
+
+    patch(path, options) {
+        return this.request(path, { ...options, method: 'PATCH' });
+    }
+}
+
+// Export for use in other files (see fetch-api.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HttpClient,
+        InterceptorList,
+        RequestError,
+        NetworkError,
+        TimeoutError,
+        HttpError,
+        ParseError,
+        AbortError: clientCancellation.AbortError,
+        isClientError
+    };
+}
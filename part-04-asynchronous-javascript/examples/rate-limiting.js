@@ -0,0 +1,222 @@
+/**
+ * Rate Limiting Strategies
+ * Four ways to decide whether a request may go ahead now. They are used by
+ * the RateLimiter in exercises/solutions.js, which adds waiting, per-key
+ * limits and cancellation on top of them.
+ *
+ *   - token bucket:  `limit` tokens per `interval`, refilled continuously;
+ *                    bursts of up to `capacity` requests
+ *   - leaky bucket:  requests drain at a steady `limit` per `interval`;
+ *                    smooths bursts out (only `capacity` at once, 1 by default)
+ *   - fixed window:  at most `limit` requests per window of `interval` ms;
+ *                    cheap, but allows 2x the limit around a window boundary
+ *   - sliding log:   at most `limit` requests in any `interval` ms; exact,
+ *                    but remembers a timestamp per request
+ *
+ * Every strategy has the same method, which checks and takes a slot in one
+ * synchronous step, so two callers can never both get the last slot:
+ *
+ *   const bucket = createRateLimitStrategy({ strategy: 'token-bucket', limit: 10, interval: 1000 });
+ *   const { allowed, remaining, retryAfter } = bucket.tryAcquire(Date.now());
+ */
+
+// ============================================================================
+// STRATEGIES
+// ============================================================================
+
+class TokenBucket {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Tokens added per interval.
+     * @param {number} options.interval - Milliseconds.
+     * @param {number} [options.capacity=limit] - The most tokens the bucket holds, i.e. the largest burst.
+     */
+    constructor({ limit, interval, capacity = limit }) {
+        this.capacity = capacity;
+        this.refillRate = limit / interval; // tokens per ms
+        this.tokens = capacity;
+        this.lastRefill = null;
+    }
+
+    /**
+     * Takes `cost` tokens if there are enough.
+     * @param {number} now - The current time, e.g. Date.now().
+     * @param {number} [cost=1]
+     * @returns {{ allowed: boolean, remaining: number, retryAfter: number }}
+     *   `remaining` is how many more requests would be allowed right now;
+     *   `retryAfter` how many ms until this request would be (0 if it was,
+     *   Infinity if `cost` is more than the bucket ever holds).
+     */
+    tryAcquire(now, cost = 1) {
+        if (this.lastRefill !== null) {
+            this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate);
+        }
+        this.lastRefill = now;
+
+        if (cost > this.capacity) {
+            return { allowed: false, remaining: Math.floor(this.tokens), retryAfter: Infinity };
+        }
+        if (this.tokens >= cost) {
+            this.tokens -= cost;
+            return { allowed: true, remaining: Math.floor(this.tokens), retryAfter: 0 };
+        }
+        return {
+            allowed: false,
+            remaining: Math.floor(this.tokens),
+            retryAfter: Math.ceil((cost - this.tokens) / this.refillRate)
+        };
+    }
+}
+
+class LeakyBucket {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Requests that drain out per interval.
+     * @param {number} options.interval - Milliseconds.
+     * @param {number} [options.capacity=1] - How much the bucket holds. With 1,
+     *   requests are spaced evenly, `interval / limit` ms apart.
+     */
+    constructor({ limit, interval, capacity = 1 }) {
+        this.capacity = capacity;
+        this.leakRate = limit / interval; // requests per ms
+        this.level = 0;
+        this.lastLeak = null;
+    }
+
+    /** See TokenBucket#tryAcquire. */
+    tryAcquire(now, cost = 1) {
+        if (this.lastLeak !== null) {
+            this.level = Math.max(0, this.level - (now - this.lastLeak) * this.leakRate);
+        }
+        this.lastLeak = now;
+
+        if (cost > this.capacity) {
+            return { allowed: false, remaining: Math.floor(this.capacity - this.level), retryAfter: Infinity };
+        }
+        if (this.level + cost <= this.capacity) {
+            this.level += cost;
+            return { allowed: true, remaining: Math.floor(this.capacity - this.level), retryAfter: 0 };
+        }
+        return {
+            allowed: false,
+            remaining: Math.floor(this.capacity - this.level),
+            retryAfter: Math.ceil((this.level + cost - this.capacity) / this.leakRate)
+        };
+    }
+}
+
+class FixedWindow {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Requests per window.
+     * @param {number} options.interval - The window length in ms. Windows start at
+     *   multiples of it, e.g. on every full second for 1000.
+     */
+    constructor({ limit, interval }) {
+        this.limit = limit;
+        this.interval = interval;
+        this.windowStart = -Infinity;
+        this.count = 0;
+    }
+
+    /** See TokenBucket#tryAcquire. */
+    tryAcquire(now, cost = 1) {
+        const windowStart = Math.floor(now / this.interval) * this.interval;
+        if (windowStart !== this.windowStart) {
+            this.windowStart = windowStart;
+            this.count = 0;
+        }
+
+        if (cost > this.limit) {
+            return { allowed: false, remaining: this.limit - this.count, retryAfter: Infinity };
+        }
+        if (this.count + cost <= this.limit) {
+            this.count += cost;
+            return { allowed: true, remaining: this.limit - this.count, retryAfter: 0 };
+        }
+        return {
+            allowed: false,
+            remaining: this.limit - this.count,
+            retryAfter: windowStart + this.interval - now
+        };
+    }
+}
+
+class SlidingLog {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Requests allowed in any `interval` ms.
+     * @param {number} options.interval - Milliseconds.
+     */
+    constructor({ limit, interval }) {
+        this.limit = limit;
+        this.interval = interval;
+        // When each request in the last interval was let through, oldest first
+        this.log = [];
+    }
+
+    /** See TokenBucket#tryAcquire. */
+    tryAcquire(now, cost = 1) {
+        // Forget requests that have left the window
+        const firstInWindow = this.log.findIndex(time => now - time < this.interval);
+        this.log.splice(0, firstInWindow === -1 ? this.log.length : firstInWindow);
+
+        if (cost > this.limit) {
+            return { allowed: false, remaining: this.limit - this.log.length, retryAfter: Infinity };
+        }
+        if (this.log.length + cost <= this.limit) {
+            for (let i = 0; i < cost; i++) this.log.push(now);
+            return { allowed: true, remaining: this.limit - this.log.length, retryAfter: 0 };
+        }
+        // Wait until enough of the oldest requests have left the window
+        const mustExpire = this.log[this.log.length + cost - this.limit - 1];
+        return {
+            allowed: false,
+            remaining: this.limit - this.log.length,
+            retryAfter: mustExpire + this.interval - now
+        };
+    }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+const RATE_LIMIT_STRATEGIES = {
+    'token-bucket': TokenBucket,
+    'leaky-bucket': LeakyBucket,
+    'fixed-window': FixedWindow,
+    'sliding-log': SlidingLog
+};
+
+/**
+ * Creates a strategy from its options.
+ * @param {Object} options
+ * @param {string|Function} [options.strategy='sliding-log'] - A name from
+ *   RATE_LIMIT_STRATEGIES, or a class with the same tryAcquire(now, cost) method.
+ * @param {number} options.limit - How many requests...
+ * @param {number} options.interval - ...per how many milliseconds.
+ * @returns {TokenBucket|LeakyBucket|FixedWindow|SlidingLog}
+ */
+function createRateLimitStrategy({ strategy = 'sliding-log', ...options }) {
+    const Strategy = typeof strategy === 'function' ? strategy : RATE_LIMIT_STRATEGIES[strategy];
+    if (!Strategy) {
+        throw new Error(`Unknown rate limit strategy: ${strategy}`);
+    }
+    if (!(options.limit > 0) || !(options.interval > 0)) {
+        throw new RangeError('A rate limit needs a positive limit and interval');
+    }
+    return new Strategy(options);
+}
+
+// Export for use in other files (see exercises/solutions.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TokenBucket,
+        LeakyBucket,
+        FixedWindow,
+        SlidingLog,
+        RATE_LIMIT_STRATEGIES,
+        createRateLimitStrategy
+    };
+}
@@ -0,0 +1,457 @@
+/**
+ * Task Scheduler
+ * One scheduler for async tasks instead of a separate queue for every need.
+ * It replaces three classes that each did part of the job: the serial
+ * AsyncQueue (advanced-patterns.js), the serial PriorityAsyncQueue and the
+ * concurrent AsyncPool (exercises/solutions.js). Those still exist, as thin
+ * wrappers around a TaskScheduler.
+ *
+ *   - a concurrency limit: how many tasks may run at the same time
+ *   - priorities, as numbers or named levels, kept in a binary heap
+ *   - a timeout per task
+ *   - cancellation, of waiting and of running tasks, also with an AbortSignal
+ *   - pause() / resume()
+ *   - onDrain() / onIdle() promises
+ *   - "started", "completed", "failed" and "cancelled" events
+ *
+ * Usage:
+ *   const scheduler = new TaskScheduler({ concurrency: 2, timeout: 5000 });
+ *   scheduler.on('failed', ({ task, error }) => console.error(`Task ${task.id} failed:`, error));
+ *
+ *   const user = await scheduler.run(({ signal }) => fetch('/api/user', { signal }), { priority: 'high' });
+ *
+ *   const task = scheduler.schedule(() => generateReport());
+ *   task.cancel();
+ */
+
+// The shared AbortError, from cancellation.js. In Node it is loaded with
+// require(); in a browser, load cancellation.js first.
+// (Scripts on one page share their top-level names, hence the specific name.)
+const schedulerCancellation = typeof require === 'function'
+    ? require('./cancellation.js')
+    : { AbortError, toAbortError, onAbort };
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+// The task was cancelled before it finished, with task.cancel() or scheduler.clear().
+// A kind of AbortError, so it is handled like any other cancellation.
+class TaskCancelledError extends schedulerCancellation.AbortError {
+    constructor(message = 'The task was cancelled', options) {
+        super(message, options);
+    }
+}
+
+// The task took longer than its timeout
+class TaskTimeoutError extends Error {
+    constructor(message = 'The task timed out', options) {
+        super(message, options);
+        this.name = 'TaskTimeoutError';
+    }
+}
+
+// ============================================================================
+// PRIORITY HEAP
+// ============================================================================
+
+/**
+ * A binary max-heap of waiting tasks: the highest priority comes out first,
+ * and tasks with the same priority come out in the order they were added.
+ * Adding and taking a task costs O(log n), instead of the O(n) of inserting
+ * into a sorted array.
+ *
+ * Every task remembers its position in the heap (`heapIndex`), so a cancelled
+ * task can be removed from the middle in O(log n) too.
+ */
+class PriorityHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Whether task `a` should run before task `b`.
+     */
+    before(a, b) {
+        return a.priority !== b.priority ? a.priority > b.priority : a.sequence < b.sequence;
+    }
+
+    push(task) {
+        task.heapIndex = this.items.length;
+        this.items.push(task);
+        this.siftUp(task.heapIndex);
+    }
+
+    /**
+     * Takes out the task that should run next.
+     * @returns {Object|undefined}
+     */
+    pop() {
+        return this.items.length > 0 ? this.removeAt(0) : undefined;
+    }
+
+    /**
+     * Takes a task out, wherever it is in the heap.
+     * @returns {boolean} Whether the task was in the heap.
+     */
+    remove(task) {
+        const index = task.heapIndex;
+        if (this.items[index] !== task) return false;
+        this.removeAt(index);
+        return true;
+    }
+
+    removeAt(index) {
+        const removed = this.items[index];
+        const last = this.items.pop();
+        // Fill the gap with the last item, then move that one up or down to where it belongs
+        if (index < this.items.length) {
+            this.place(last, index);
+            this.siftDown(index);
+            this.siftUp(index);
+        }
+        removed.heapIndex = -1;
+        return removed;
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.before(this.items[index], this.items[parent])) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const length = this.items.length;
+        for (;;) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let first = index;
+            if (left < length && this.before(this.items[left], this.items[first])) first = left;
+            if (right < length && this.before(this.items[right], this.items[first])) first = right;
+            if (first === index) break;
+            this.swap(index, first);
+            index = first;
+        }
+    }
+
+    swap(i, j) {
+        const item = this.items[i];
+        this.place(this.items[j], i);
+        this.place(item, j);
+    }
+
+    place(task, index) {
+        this.items[index] = task;
+        task.heapIndex = index;
+    }
+
+    clear() {
+        const items = this.items;
+        this.items = [];
+        items.forEach(task => { task.heapIndex = -1; });
+        return items;
+    }
+}
+
+// ============================================================================
+// TASK SCHEDULER
+// ============================================================================
+
+// Named priorities; any number works too. Higher runs first.
+const DEFAULT_PRIORITY_LEVELS = { high: 1, normal: 0, low: -1 };
+
+const TASK_EVENTS = ['started', 'completed', 'failed', 'cancelled'];
+
+class TaskScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=1] - How many tasks may run at the same time.
+     * @param {number} [options.timeout=0] - Default milliseconds per task; 0 for none.
+     * @param {Object} [options.levels] - Named priority levels, e.g. `{ urgent: 10, normal: 0 }`.
+     * @param {boolean} [options.paused=false] - Start paused; nothing runs until resume().
+     */
+    constructor({ concurrency = 1, timeout = 0, levels = DEFAULT_PRIORITY_LEVELS, paused = false } = {}) {
+        if (!(concurrency >= 1)) {
+            throw new RangeError(`concurrency must be at least 1, got ${concurrency}`);
+        }
+        this.concurrency = concurrency;
+        this.timeout = timeout;
+        this.levels = levels;
+        this.paused = paused;
+        this.queue = new PriorityHeap();
+        this.active = new Set();
+        this.nextId = 1;
+        this.listeners = {};
+        TASK_EVENTS.forEach(event => { this.listeners[event] = []; });
+        // Callbacks of onDrain() / onIdle() promises that are still waiting
+        this.drainWaiters = [];
+        this.idleWaiters = [];
+    }
+
+    /** Tasks waiting to start. */
+    get size() {
+        return this.queue.size;
+    }
+
+    /** Tasks running right now. */
+    get running() {
+        return this.active.size;
+    }
+
+    get isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Adds a task and returns a handle to it.
+     * @param {Function} fn - The task. Called with `{ signal, task }`; the signal
+     *   aborts when the task times out or is cancelled, so the work can stop early.
+     * @param {Object} [options]
+     * @param {number|string} [options.priority=0] - A number or a level name; higher runs first.
+     * @param {number} [options.timeout] - Overrides the scheduler's timeout for this task.
+     * @param {AbortSignal} [options.signal] - Cancels the task, like task.cancel(), with an AbortError.
+     * @returns {{ id: number, priority: number, status: string, promise: Promise, cancel: Function }}
+     *   `status` is "queued", "running", "completed", "failed" or "cancelled".
+     */
+    schedule(fn, { priority = 0, timeout = this.timeout, signal } = {}) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('A task must be a function');
+        }
+
+        const id = this.nextId++;
+        const task = {
+            id,
+            priority: this.resolvePriority(priority),
+            timeout,
+            status: 'queued',
+            fn,
+            // Ties between equal priorities go to the task added first
+            sequence: id,
+            heapIndex: -1,
+            controller: null,
+            timer: null,
+            signal,
+            removeAbortListener: null
+        };
+        task.promise = new Promise((resolve, reject) => {
+            task.resolve = resolve;
+            task.reject = reject;
+        });
+        task.cancel = (reason) => this.cancel(task, reason);
+
+        task.removeAbortListener = schedulerCancellation.onAbort(signal, error => this.cancel(task, error));
+        // The signal had aborted already
+        if (task.status === 'cancelled') return task;
+
+        this.queue.push(task);
+        this.next();
+        return task;
+    }
+
+    /**
+     * Adds a task and returns a promise for its result.
+     * Same arguments as schedule(); use schedule() to be able to cancel it.
+     * @returns {Promise<*>}
+     */
+    run(fn, options) {
+        return this.schedule(fn, options).promise;
+    }
+
+    /**
+     * Runs several tasks and returns their results in the same order.
+     * @param {Array<Function>} fns - The tasks.
+     * @param {Object} [options] - The same options as schedule(), for every task.
+     * @returns {Promise<Array>} Rejects with the first error, like Promise.all.
+     */
+    runAll(fns, options) {
+        return Promise.all(fns.map(fn => this.run(fn, options)));
+    }
+
+    /**
+     * Cancels a task. A waiting task is removed from the queue; a running one has
+     * its signal aborted and its slot freed. Its promise rejects either way, but
+     * is never reported as an unhandled rejection.
+     * @param {Object} task - A handle returned by schedule().
+     * @param {Error} [reason] - The rejection reason; a TaskCancelledError by default.
+     * @returns {boolean} false if the task had already finished.
+     */
+    cancel(task, reason = new TaskCancelledError()) {
+        if (task.status === 'queued') {
+            this.queue.remove(task);
+        } else if (task.status !== 'running') {
+            return false;
+        }
+        this.finish(task, 'cancelled', reason);
+        return true;
+    }
+
+    /**
+     * Cancels every task that is still waiting. Running tasks carry on.
+     * Their promises reject with a TaskCancelledError, as with cancel().
+     * @returns {number} How many tasks were cancelled.
+     */
+    clear() {
+        const tasks = this.queue.clear();
+        tasks.forEach(task => this.finish(task, 'cancelled', new TaskCancelledError()));
+        return tasks.length;
+    }
+
+    /**
+     * Stops starting new tasks. Running tasks carry on.
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.next();
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once no task is waiting (they may still be running).
+     */
+    onDrain() {
+        if (this.queue.size === 0) return Promise.resolve();
+        return new Promise(resolve => this.drainWaiters.push(resolve));
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once no task is waiting or running.
+     */
+    onIdle() {
+        if (this.queue.size === 0 && this.active.size === 0) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Registers an event listener.
+     * @param {'started'|'completed'|'failed'|'cancelled'} event
+     * @param {Function} listener - Called with `{ task, result }` for "completed",
+     *   `{ task, error }` for "failed" and "cancelled", and `{ task }` for "started".
+     * @returns {Function} A function that removes the listener again.
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        this.listeners[event].push(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+        };
+    }
+
+    emit(event, details) {
+        this.listeners[event].forEach(listener => {
+            // A broken listener must not break the scheduler
+            try {
+                listener(details);
+            } catch (error) {
+                console.error(`Error in a "${event}" listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Turns a level name into its number.
+     */
+    resolvePriority(priority) {
+        if (typeof priority === 'number') return priority;
+        if (!(priority in this.levels)) {
+            throw new Error(`Unknown priority level: ${priority}`);
+        }
+        return this.levels[priority];
+    }
+
+    /**
+     * Starts waiting tasks while there are free slots.
+     */
+    next() {
+        while (!this.paused && this.active.size < this.concurrency && this.queue.size > 0) {
+            this.start(this.queue.pop());
+        }
+        this.checkWaiters();
+    }
+
+    start(task) {
+        // One abort can cancel several tasks; a slot freed by the first must not start the next
+        if (task.signal?.aborted) {
+            this.finish(task, 'cancelled', schedulerCancellation.toAbortError(task.signal));
+            return;
+        }
+        task.status = 'running';
+        task.controller = new AbortController();
+        this.active.add(task);
+        if (task.timeout > 0) {
+            task.timer = setTimeout(() => {
+                this.finish(task, 'failed', new TaskTimeoutError(`Task ${task.id} took longer than ${task.timeout}ms`));
+            }, task.timeout);
+        }
+        this.emit('started', { task });
+        // A "started" listener may have cancelled it already
+        if (task.status !== 'running') return;
+
+        // Also catches a task that throws synchronously
+        new Promise(resolve => resolve(task.fn({ signal: task.controller.signal, task })))
+            .then(
+                result => this.finish(task, 'completed', result),
+                error => this.finish(task, 'failed', error)
+            );
+    }
+
+    /**
+     * Settles a task, frees its slot and starts the next one.
+     * Only the first call for a task counts: a task that timed out or was
+     * cancelled may still finish later, and that result is ignored.
+     */
+    finish(task, status, value) {
+        if (task.status !== 'queued' && task.status !== 'running') return;
+        const wasRunning = task.status === 'running';
+        task.status = status;
+        clearTimeout(task.timer);
+        task.removeAbortListener?.();
+
+        if (wasRunning) {
+            this.active.delete(task);
+            if (status !== 'completed') task.controller.abort(value);
+        }
+
+        if (status === 'completed') {
+            task.resolve(value);
+            this.emit('completed', { task, result: value });
+        } else {
+            // Cancelling is on purpose, so a cancelled task that nobody awaits must not
+            // show up as an unhandled rejection. `await` and .then() still see it.
+            if (status === 'cancelled') task.promise.catch(() => {});
+            task.reject(value);
+            this.emit(status, { task, error: value });
+        }
+        this.next();
+    }
+
+    checkWaiters() {
+        if (this.queue.size > 0) return;
+        this.drainWaiters.splice(0).forEach(resolve => resolve());
+        if (this.active.size === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+}
+
+// Export for use in other files (see advanced-patterns.js and exercises/solutions.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TaskScheduler,
+        PriorityHeap,
+        AbortError: schedulerCancellation.AbortError,
+        TaskCancelledError,
+        TaskTimeoutError
+    };
+}
@@ -0,0 +1,29 @@
+/**
+ * Promises/A+ Adapter
+ * Connects SimplePromise (Exercise 6 in solutions.js) to the official
+ * conformance tests: https://github.com/promises-aplus/promises-aplus-tests
+ *
+ * The suite's version is pinned in package.json. Run from this folder (Node.js):
+ *   npm install
+ *   npm test
+ */
+
+const { SimplePromise } = require('./solutions.js');
+
+// The tests reject many promises on purpose without handling them
+SimplePromise.onUnhandledRejection = () => {};
+SimplePromise.onRejectionHandled = () => {};
+
+module.exports = {
+    resolved: value => SimplePromise.resolve(value),
+    rejected: reason => SimplePromise.reject(reason),
+    deferred() {
+        let resolve;
+        let reject;
+        const promise = new SimplePromise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        return { promise, resolve, reject };
+    }
+};
@@ -81,57 +81,33 @@ async function getUserPostsAsync(userId) {
 }
 
 // Exercise 4: Error Handling Practice
+// The HttpClient from examples/http-client.js does the timeout and the checks;
+// each kind of failure has its own error class, so we only translate them.
+// (In a browser, load examples/cancellation.js and examples/http-client.js before this file.
+// Scripts on one page share their top-level names, so the ones that would clash
+// with the examples, e.g. `http` in fetch-api.js, start with "solutions".)
+const solutionsHttp = typeof require === 'function'
+    ? require('../examples/http-client.js')
+    : { HttpClient, NetworkError, TimeoutError, HttpError, ParseError, isClientError };
+
+const robustClient = new solutionsHttp.HttpClient({ timeout: 5000 });
+
 async function robustApiCall(url) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-    
     try {
-        const response = await fetch(url, {
-            signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            return {
-                success: false,
-                data: null,
-                error: `HTTP Error: ${response.status} ${response.statusText}`
-            };
-        }
-        
-        const data = await response.json();
-        
-        return {
-            success: true,
-            data: data,
-            error: null
-        };
-        
+        const data = await robustClient.get(url, { responseType: 'json' });
+        return { success: true, data, error: null };
     } catch (error) {
-        clearTimeout(timeoutId);
-        
-        if (error.name === 'AbortError') {
-            return {
-                success: false,
-                data: null,
-                error: "Request timed out after 5 seconds"
-            };
-        }
-        
-        if (error instanceof SyntaxError) {
-            return {
-                success: false,
-                data: null,
-                error: "Invalid JSON response"
-            };
+        let message;
+        if (error instanceof solutionsHttp.TimeoutError) {
+            message = "Request timed out after 5 seconds";
+        } else if (error instanceof solutionsHttp.HttpError) {
+            message = `HTTP Error: ${error.status} ${error.response.statusText}`;
+        } else if (error instanceof solutionsHttp.ParseError) {
+            message = "Invalid JSON response";
+        } else {
+            message = `Network error: ${error.message}`;
         }
-        
-        return {
-            success: false,
-            data: null,
-            error: `Network error: ${error.message}`
-        };
+        return { success: false, data: null, error: message };
     }
 }
 
@@ -160,89 +136,267 @@ async function fetchMultipleUsers(userIds) {
 // ============================================================================
 
 // Exercise 6: Custom Promise Implementation
+// Follows the Promises/A+ specification (https://promisesaplus.com), so it
+// works together with native promises and any other "thenable":
+//   - callbacks always run asynchronously, as microtasks (like native promises)
+//   - resolving with a promise or thenable adopts its state instead of using it as the value
+//   - resolving a promise with itself rejects with a TypeError
+// See promises-aplus-adapter.js to run the official conformance tests.
+
+// Runs a callback as a microtask, after the current code but before any timers
+const queueTask = typeof queueMicrotask === 'function'
+    ? queueMicrotask
+    : callback => Promise.resolve().then(callback);
+
 class SimplePromise {
     constructor(executor) {
         this.state = 'pending';
         this.value = undefined;
         this.reason = undefined;
-        this.onFulfilledCallbacks = [];
-        this.onRejectedCallbacks = [];
-        
+        // Callbacks registered with then() while pending
+        this.reactions = [];
+        // Whether then() was called; used to report unhandled rejections
+        this.handled = false;
+
+        // Only the first call to resolve/reject counts, even if resolve was given
+        // a thenable that hasn't settled yet
+        let alreadyResolved = false;
         const resolve = (value) => {
-            if (this.state === 'pending') {
-                this.state = 'fulfilled';
-                this.value = value;
-                this.onFulfilledCallbacks.forEach(callback => callback(value));
-            }
+            if (alreadyResolved) return;
+            alreadyResolved = true;
+            this.resolveWith(value);
         };
-        
         const reject = (reason) => {
-            if (this.state === 'pending') {
-                this.state = 'rejected';
-                this.reason = reason;
-                this.onRejectedCallbacks.forEach(callback => callback(reason));
-            }
+            if (alreadyResolved) return;
+            alreadyResolved = true;
+            this.settle('rejected', reason);
         };
-        
+
         try {
             executor(resolve, reject);
         } catch (error) {
             reject(error);
         }
     }
-    
-    then(onFulfilled, onRejected) {
-        return new SimplePromise((resolve, reject) => {
-            const handleFulfilled = (value) => {
+
+    // The Promise Resolution Procedure (section 2.3 of the spec)
+    resolveWith(x) {
+        if (x === this) {
+            this.settle('rejected', new TypeError('A promise cannot be resolved with itself'));
+            return;
+        }
+
+        if (x !== null && (typeof x === 'object' || typeof x === 'function')) {
+            let then;
+            try {
+                // Read `then` only once: it could be a getter with side effects
+                then = x.then;
+            } catch (error) {
+                this.settle('rejected', error);
+                return;
+            }
+
+            if (typeof then === 'function') {
+                // A thenable: follow it. It may call back more than once, or throw
+                // after calling back; only the first outcome counts.
+                let called = false;
                 try {
-                    if (typeof onFulfilled === 'function') {
-                        const result = onFulfilled(value);
-                        resolve(result);
-                    } else {
-                        resolve(value);
-                    }
+                    then.call(
+                        x,
+                        y => {
+                            if (called) return;
+                            called = true;
+                            this.resolveWith(y);
+                        },
+                        r => {
+                            if (called) return;
+                            called = true;
+                            this.settle('rejected', r);
+                        }
+                    );
                 } catch (error) {
-                    reject(error);
-                }
-            };
-            
-            const handleRejected = (reason) => {
-                try {
-                    if (typeof onRejected === 'function') {
-                        const result = onRejected(reason);
-                        resolve(result);
-                    } else {
-                        reject(reason);
+                    if (!called) {
+                        called = true;
+                        this.settle('rejected', error);
                     }
-                } catch (error) {
-                    reject(error);
                 }
-            };
-            
-            if (this.state === 'fulfilled') {
-                setTimeout(() => handleFulfilled(this.value), 0);
-            } else if (this.state === 'rejected') {
-                setTimeout(() => handleRejected(this.reason), 0);
+                return;
+            }
+        }
+
+        this.settle('fulfilled', x);
+    }
+
+    settle(state, result) {
+        if (this.state !== 'pending') return;
+        this.state = state;
+        if (state === 'fulfilled') {
+            this.value = result;
+        } else {
+            this.reason = result;
+            this.trackRejection();
+        }
+        this.flushReactions();
+    }
+
+    // Schedules every registered callback; called when settling, and by then()
+    // on a promise that has already settled
+    flushReactions() {
+        const reactions = this.reactions;
+        this.reactions = [];
+        reactions.forEach(reaction => queueTask(() => this.runReaction(reaction)));
+    }
+
+    runReaction({ onFulfilled, onRejected, resolve, reject }) {
+        const fulfilled = this.state === 'fulfilled';
+        const callback = fulfilled ? onFulfilled : onRejected;
+
+        if (typeof callback !== 'function') {
+            // No callback for this outcome: pass it on down the chain
+            if (fulfilled) {
+                resolve(this.value);
             } else {
-                this.onFulfilledCallbacks.push(handleFulfilled);
-                this.onRejectedCallbacks.push(handleRejected);
+                reject(this.reason);
             }
+            return;
+        }
+
+        try {
+            resolve(callback(fulfilled ? this.value : this.reason));
+        } catch (error) {
+            reject(error);
+        }
+    }
+
+    // Reports a rejection nobody handled by the time the current task ends,
+    // like the browser's "unhandledrejection" event
+    trackRejection() {
+        if (this.handled) return;
+        setTimeout(() => {
+            if (!this.handled) {
+                this.reportedUnhandled = true;
+                SimplePromise.onUnhandledRejection(this.reason, this);
+            }
+        }, 0);
+    }
+
+    then(onFulfilled, onRejected) {
+        let resolveNext;
+        let rejectNext;
+        const next = new SimplePromise((resolve, reject) => {
+            resolveNext = resolve;
+            rejectNext = reject;
         });
+
+        if (!this.handled) {
+            this.handled = true;
+            if (this.reportedUnhandled) {
+                SimplePromise.onRejectionHandled(this.reason, this);
+            }
+        }
+
+        this.reactions.push({ onFulfilled, onRejected, resolve: resolveNext, reject: rejectNext });
+        if (this.state !== 'pending') {
+            this.flushReactions();
+        }
+        return next;
     }
-    
+
     catch(onRejected) {
         return this.then(null, onRejected);
     }
-    
+
+    // Runs onFinally whatever the outcome, then passes the original outcome on.
+    // If onFinally throws (or returns a rejected promise), that error wins.
+    finally(onFinally) {
+        if (typeof onFinally !== 'function') {
+            return this.then(onFinally, onFinally);
+        }
+        return this.then(
+            value => SimplePromise.resolve(onFinally()).then(() => value),
+            reason => SimplePromise.resolve(onFinally()).then(() => { throw reason; })
+        );
+    }
+
     static resolve(value) {
+        // Already one of ours: nothing to adopt
+        if (value instanceof SimplePromise) {
+            return value;
+        }
         return new SimplePromise((resolve) => resolve(value));
     }
-    
+
     static reject(reason) {
         return new SimplePromise((_, reject) => reject(reason));
     }
+
+    // Fulfills with every value, in order, or rejects with the first error
+    static all(iterable) {
+        return new SimplePromise((resolve, reject) => {
+            const items = Array.from(iterable);
+            const values = new Array(items.length);
+            let remaining = items.length;
+            if (remaining === 0) {
+                resolve(values);
+                return;
+            }
+            items.forEach((item, index) => {
+                SimplePromise.resolve(item).then(value => {
+                    values[index] = value;
+                    if (--remaining === 0) resolve(values);
+                }, reject);
+            });
+        });
+    }
+
+    // Waits for everything and describes each outcome; never rejects
+    static allSettled(iterable) {
+        return SimplePromise.all(Array.from(iterable, item =>
+            SimplePromise.resolve(item).then(
+                value => ({ status: 'fulfilled', value }),
+                reason => ({ status: 'rejected', reason })
+            )
+        ));
+    }
+
+    // Settles like whichever settles first
+    static race(iterable) {
+        return new SimplePromise((resolve, reject) => {
+            for (const item of iterable) {
+                SimplePromise.resolve(item).then(resolve, reject);
+            }
+        });
+    }
+
+    // Fulfills with the first value, or rejects with an AggregateError if all reject
+    static any(iterable) {
+        return new SimplePromise((resolve, reject) => {
+            const items = Array.from(iterable);
+            const errors = new Array(items.length);
+            let remaining = items.length;
+            const rejectAll = () => reject(new AggregateError(errors, 'All promises were rejected'));
+            if (remaining === 0) {
+                rejectAll();
+                return;
+            }
+            items.forEach((item, index) => {
+                SimplePromise.resolve(item).then(resolve, reason => {
+                    errors[index] = reason;
+                    if (--remaining === 0) rejectAll();
+                });
+            });
+        });
+    }
 }
 
+// Unhandled-rejection hooks. Replace them to report errors elsewhere, or to stay quiet.
+SimplePromise.onUnhandledRejection = (reason) => {
+    console.error("Unhandled SimplePromise rejection:", reason);
+};
+SimplePromise.onRejectionHandled = (reason) => {
+    console.warn("A SimplePromise rejection was handled late:", reason);
+};
+
 // Exercise 7: Async Iterator
 class PaginatedDataFetcher {
     constructor(baseUrl, pageSize = 10) {
@@ -298,118 +452,208 @@ class PaginatedDataFetcher {
     }
 }
 
+// Cancellation: the utilities below accept an AbortSignal (`{ signal }`), pass
+// it on to the function they run, and reject with the same AbortError from
+// examples/cancellation.js when it aborts.
+// (In a browser, it is already loaded for examples/http-client.js.)
+const cancellation = typeof require === 'function'
+    ? require('../examples/cancellation.js')
+    : { AbortError, toAbortError, throwIfAborted, onAbort, sleep };
+
 // Exercise 8: Rate Limiting
+// The strategies (token bucket, leaky bucket, fixed window, sliding log) are in
+// examples/rate-limiting.js. Each one checks and takes a slot in a single
+// synchronous step, so concurrent calls can't all slip through at once.
+// The limiter adds waiting in line, limits per key and cancellation.
+// (In a browser, load examples/rate-limiting.js before this file too.)
+const rateLimiting = typeof require === 'function'
+    ? require('../examples/rate-limiting.js')
+    : { createRateLimitStrategy };
+
 class RateLimiter {
-    constructor(maxRequests, timeWindow) {
-        this.maxRequests = maxRequests;
-        this.timeWindow = timeWindow;
-        this.requests = [];
+    /**
+     * `new RateLimiter(5, 1000)` allows 5 requests per second, like before.
+     * @param {Object|number} options - The options, or the limit.
+     * @param {number} [timeWindow] - The interval, when the first argument is the limit.
+     * @param {string} [options.strategy='sliding-log'] - 'token-bucket', 'leaky-bucket',
+     *   'fixed-window' or 'sliding-log'.
+     * @param {number} options.limit - How many requests...
+     * @param {number} options.interval - ...per how many milliseconds.
+     * @param {number} [options.capacity] - The largest burst, for the bucket strategies.
+     * @param {Object} [options.keys] - Other options per key, e.g.
+     *   `{ '/search': { limit: 1, interval: 1000 } }`; merged over the options above.
+     */
+    constructor(options, timeWindow) {
+        const { keys = {}, ...defaults } = typeof options === 'number'
+            ? { limit: options, interval: timeWindow }
+            : options;
+        this.defaults = defaults;
+        this.keyOptions = keys;
+        // key -> { strategy, waiting: [...], timer }
+        this.buckets = new Map();
+        // Fail now rather than on the first request
+        rateLimiting.createRateLimitStrategy(defaults);
     }
-    
-    async execute(asyncFunction) {
-        await this.waitForSlot();
-        
-        try {
-            const result = await asyncFunction();
-            return result;
-        } finally {
-            // Record the request timestamp
-            this.requests.push(Date.now());
+
+    bucketFor(key) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, {
+                strategy: rateLimiting.createRateLimitStrategy({ ...this.defaults, ...this.keyOptions[key] }),
+                waiting: [],
+                timer: null,
+                wakeAt: null
+            });
         }
+        return this.buckets.get(key);
     }
-    
-    async waitForSlot() {
-        const now = Date.now();
-        
-        // Remove old requests outside the time window
-        this.requests = this.requests.filter(
-            timestamp => now - timestamp < this.timeWindow
-        );
-        
-        // If we're at the limit, wait until the oldest request expires
-        if (this.requests.length >= this.maxRequests) {
-            const oldestRequest = this.requests[0];
-            const waitTime = this.timeWindow - (now - oldestRequest);
-            
-            if (waitTime > 0) {
-                await new Promise(resolve => setTimeout(resolve, waitTime));
-                return this.waitForSlot(); // Recursive call to check again
+
+    /**
+     * Takes a slot if one is free, without waiting.
+     * @param {string} [key='default'] - Which limit to use, e.g. an endpoint.
+     * @param {number} [cost=1] - How many slots the request uses.
+     * @returns {{ allowed: boolean, remaining: number, retryAfter: number }}
+     *   `remaining`: requests still allowed right now; `retryAfter`: ms to wait if not allowed.
+     */
+    tryAcquire(key = 'default', cost = 1) {
+        const bucket = this.bucketFor(key);
+        // Callers already waiting in acquire() go first
+        if (bucket.waiting.length > 0) {
+            return { allowed: false, remaining: 0, retryAfter: Math.max(0, bucket.wakeAt - Date.now()) };
+        }
+        return bucket.strategy.tryAcquire(Date.now(), cost);
+    }
+
+    /**
+     * Waits for a slot. Callers of the same key get their slots in the order they asked.
+     * @param {string} [key='default']
+     * @param {Object} [options]
+     * @param {number} [options.cost=1]
+     * @param {AbortSignal} [options.signal] - Stops waiting, with an AbortError.
+     * @returns {Promise<{ allowed: true, remaining: number, retryAfter: 0 }>}
+     */
+    acquire(key = 'default', { cost = 1, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            cancellation.throwIfAborted(signal);
+            const bucket = this.bucketFor(key);
+            const waiter = { cost, resolve, reject };
+            bucket.waiting.push(waiter);
+            waiter.removeAbortListener = cancellation.onAbort(signal, (error) => {
+                bucket.waiting = bucket.waiting.filter(w => w !== waiter);
+                reject(error);
+                // The one first in line may have been blocking smaller requests behind it
+                this.grant(bucket);
+            });
+            this.grant(bucket);
+        });
+    }
+
+    /**
+     * Gives free slots to waiting callers in order, then sleeps until the
+     * next one could get a slot. Only one timer per key, however many wait.
+     */
+    grant(bucket) {
+        clearTimeout(bucket.timer);
+        bucket.timer = null;
+
+        while (bucket.waiting.length > 0) {
+            const waiter = bucket.waiting[0];
+            const result = bucket.strategy.tryAcquire(Date.now(), waiter.cost);
+            if (result.retryAfter === Infinity) {
+                bucket.waiting.shift();
+                waiter.removeAbortListener();
+                waiter.reject(new RangeError(`A cost of ${waiter.cost} is more than the rate limit allows`));
+                continue;
+            }
+            if (!result.allowed) {
+                bucket.wakeAt = Date.now() + result.retryAfter;
+                bucket.timer = setTimeout(() => this.grant(bucket), result.retryAfter);
+                return;
             }
+            bucket.waiting.shift();
+            waiter.removeAbortListener();
+            waiter.resolve(result);
+        }
+    }
+
+    /**
+     * Runs a function once there is a slot for it.
+     * @param {Function} asyncFunction - Called with `{ signal }`.
+     * @param {Object} [options]
+     * @param {string} [options.key='default']
+     * @param {number} [options.cost=1]
+     * @param {AbortSignal} [options.signal]
+     */
+    async execute(asyncFunction, { key = 'default', cost = 1, signal } = {}) {
+        // The slot is taken before the call starts, so calls made together can't all get it
+        await this.acquire(key, { cost, signal });
+
+        try {
+            return await asyncFunction({ signal });
+        } catch (error) {
+            // However the function reports being aborted, callers get an AbortError
+            if (signal?.aborted) {
+                throw cancellation.toAbortError(signal);
+            }
+            throw error;
         }
     }
 }
 
 // Exercise 9: Async Queue with Priority
+// TaskScheduler (examples/task-scheduler.js) keeps waiting tasks in a binary
+// heap, so adding one costs O(log n) instead of a splice into a sorted array.
+// A priority queue is a scheduler that runs one task at a time.
+// (In a browser, load examples/task-scheduler.js before this file too.)
+const solutionsScheduling = typeof require === 'function'
+    ? require('../examples/task-scheduler.js')
+    : { TaskScheduler };
+
 class PriorityAsyncQueue {
     constructor() {
-        this.queue = [];
-        this.processing = false;
+        this.scheduler = new solutionsScheduling.TaskScheduler({ concurrency: 1 });
     }
-    
-    async add(asyncFunction, priority = 0) {
-        return new Promise((resolve, reject) => {
-            const task = {
-                asyncFunction,
-                priority,
-                resolve,
-                reject,
-                timestamp: Date.now() // For FIFO within same priority
-            };
-            
-            // Insert task in priority order (higher priority first)
-            let inserted = false;
-            for (let i = 0; i < this.queue.length; i++) {
-                if (this.queue[i].priority < priority) {
-                    this.queue.splice(i, 0, task);
-                    inserted = true;
-                    break;
-                }
-            }
-            
-            if (!inserted) {
-                this.queue.push(task);
-            }
-            
-            this.process();
-        });
+
+    // Higher priority numbers run first; equal priorities run in the order they were added.
+    // Aborting `signal` takes a waiting task out of the queue.
+    add(asyncFunction, priority = 0, { signal } = {}) {
+        return this.scheduler.run(({ signal: taskSignal }) => asyncFunction({ signal: taskSignal }), { priority, signal });
     }
-    
-    async process() {
-        if (this.processing || this.queue.length === 0) {
-            return;
-        }
-        
-        this.processing = true;
-        
-        while (this.queue.length > 0) {
-            const { asyncFunction, resolve, reject } = this.queue.shift();
-            
-            try {
-                const result = await asyncFunction();
-                resolve(result);
-            } catch (error) {
-                reject(error);
-            }
-        }
-        
-        this.processing = false;
+
+    get size() {
+        return this.scheduler.size;
     }
 }
 
 // Exercise 10: Timeout Wrapper
-function withTimeout(promise, timeoutMs, timeoutMessage = "Operation timed out") {
+// `operation` is a promise, or a function that returns one. Racing a promise
+// can only stop the waiting; a function is called with its own AbortSignal,
+// which aborts on the timeout (or when `signal` aborts), so the work stops too.
+async function withTimeout(operation, timeoutMs, timeoutMessage = "Operation timed out", { signal } = {}) {
+    cancellation.throwIfAborted(signal);
+
+    const controller = new AbortController();
     let timeoutId;
-    
-    const timeoutPromise = new Promise((_, reject) => {
-        timeoutId = setTimeout(() => {
-            reject(new Error(timeoutMessage));
-        }, timeoutMs);
+    let removeAbortListener;
+    const stopped = new Promise((_, reject) => {
+        const stop = (error) => {
+            // Reject first: the operation may settle as soon as it sees the abort
+            reject(error);
+            controller.abort(error);
+        };
+        timeoutId = setTimeout(() => stop(new Error(timeoutMessage)), timeoutMs);
+        removeAbortListener = cancellation.onAbort(signal, stop);
     });
-    
-    return Promise.race([
-        promise.finally(() => clearTimeout(timeoutId)),
-        timeoutPromise
-    ]);
+
+    try {
+        const promise = typeof operation === 'function'
+            ? operation({ signal: controller.signal })
+            : operation;
+        return await Promise.race([promise, stopped]);
+    } finally {
+        // Clean up the timeout if the operation settles first
+        clearTimeout(timeoutId);
+        removeAbortListener();
+    }
 }
 
 // ============================================================================
@@ -465,6 +709,17 @@ async function demonstrateIntermediateSolutions() {
     await limiter.execute(apiCall);
     await limiter.execute(apiCall);
     await limiter.execute(apiCall); // This will wait
+
+    // A token bucket with a separate, stricter limit for one endpoint
+    const apiLimiter = new RateLimiter({
+        strategy: 'token-bucket',
+        limit: 5,
+        interval: 1000,
+        keys: { '/search': { limit: 1, interval: 1000 } }
+    });
+    console.log("/users:", apiLimiter.tryAcquire('/users')); // 4 remaining
+    console.log("/search:", apiLimiter.tryAcquire('/search')); // 0 remaining
+    console.log("/search again:", apiLimiter.tryAcquire('/search')); // not allowed, retry in ~1000ms
 }
 
 // ============================================================================
@@ -472,51 +727,33 @@ async function demonstrateIntermediateSolutions() {
 // ============================================================================
 
 // Exercise 11: Async Pool
+// A pool is a TaskScheduler whose concurrency is the pool's limit
 class AsyncPool {
     constructor(concurrencyLimit) {
         this.concurrencyLimit = concurrencyLimit;
-        this.running = new Set();
-        this.queue = [];
+        this.scheduler = new solutionsScheduling.TaskScheduler({ concurrency: concurrencyLimit });
     }
 
-    async execute(asyncFunction) {
-        return new Promise((resolve, reject) => {
-            this.queue.push({ asyncFunction, resolve, reject });
-            this.processQueue();
-        });
+    // Aborting `signal` takes a waiting task out of the queue, or aborts
+    // the signal the function was given if it is already running
+    execute(asyncFunction, { signal } = {}) {
+        return this.scheduler.run(({ signal: taskSignal }) => asyncFunction({ signal: taskSignal }), { signal });
     }
 
-    async processQueue() {
-        if (this.running.size >= this.concurrencyLimit || this.queue.length === 0) {
-            return;
-        }
-
-        const { asyncFunction, resolve, reject } = this.queue.shift();
-        const promise = this.runTask(asyncFunction, resolve, reject);
-        this.running.add(promise);
-
-        promise.finally(() => {
-            this.running.delete(promise);
-            this.processQueue();
-        });
-    }
-
-    async runTask(asyncFunction, resolve, reject) {
-        try {
-            const result = await asyncFunction();
-            resolve(result);
-        } catch (error) {
-            reject(error);
-        }
-    }
-
-    async executeAll(asyncFunctions) {
-        const promises = asyncFunctions.map(fn => this.execute(fn));
-        return Promise.all(promises);
+    // Results come back in the same order as the functions
+    executeAll(asyncFunctions, { signal } = {}) {
+        return Promise.all(asyncFunctions.map(fn => this.execute(fn, { signal })));
     }
 }
 
 // Exercise 12: Retry with Exponential Backoff
+// Retrying helps with brief failures. When a dependency is down, a CircuitBreaker
+// (examples/circuit-breaker.js) makes the calls fail fast, and the retrying stops.
+// (In a browser, load examples/circuit-breaker.js before this file too.)
+const circuits = typeof require === 'function'
+    ? require('../examples/circuit-breaker.js')
+    : { CircuitBreaker, CircuitOpenError };
+
 async function retryWithBackoff(operation, options = {}) {
     const {
         maxRetries = 3,
@@ -524,20 +761,31 @@ async function retryWithBackoff(operation, options = {}) {
         maxDelay = 30000,
         backoffFactor = 2,
         jitter = true,
-        retryCondition = () => true
+        retryCondition = () => true,
+        signal,
+        // Optional: every attempt goes through it
+        circuitBreaker
     } = options;
 
     let lastError;
     let delay = initialDelay;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        cancellation.throwIfAborted(signal);
         try {
-            const result = await operation();
+            const result = await (circuitBreaker
+                ? circuitBreaker.execute(() => operation({ signal, attempt }), { signal })
+                : operation({ signal, attempt }));
             return result;
         } catch (error) {
             lastError = error;
 
-            if (attempt === maxRetries || !retryCondition(error)) {
+            // Aborting is not a failure to retry
+            if (signal?.aborted) {
+                throw cancellation.toAbortError(signal);
+            }
+            // An open circuit means the dependency is down: waiting to retry won't help
+            if (attempt === maxRetries || error instanceof circuits.CircuitOpenError || !retryCondition(error)) {
                 throw error;
             }
 
@@ -550,7 +798,7 @@ async function retryWithBackoff(operation, options = {}) {
             }
 
             console.log(`Attempt ${attempt} failed, retrying in ${currentDelay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, currentDelay));
+            await cancellation.sleep(currentDelay, signal);
 
             delay *= backoffFactor;
         }
@@ -640,9 +888,16 @@ class AsyncStateMachine {
 }
 
 // Exercise 14: Async Middleware Pipeline
+// Koa-style middleware: `async (context, next) => { ... }`.
+//   - `await next()` runs the rest of the chain and returns its result.
+//   - Returning without calling next() short-circuits: later middlewares and the
+//     final handler don't run, and the returned value becomes the result.
+//   - Error middlewares, `async (error, context) => { ... }`, run when anything
+//     in the chain throws. Returning a value recovers; throwing passes the error on.
 class AsyncPipeline {
     constructor() {
         this.middlewares = [];
+        this.errorMiddlewares = [];
     }
 
     use(middleware) {
@@ -650,20 +905,62 @@ class AsyncPipeline {
         return this;
     }
 
-    async execute(initialContext) {
-        let index = 0;
+    useError(errorMiddleware) {
+        this.errorMiddlewares.push(errorMiddleware);
+        return this;
+    }
 
-        const next = async () => {
-            if (index >= this.middlewares.length) {
-                return;
+    // Runs the chain, ending with `finalHandler(context)` if one is given,
+    // and resolves with the result (e.g. an HTTP response).
+    async handle(context, finalHandler) {
+        const dispatch = async (index) => {
+            const middleware = this.middlewares[index];
+            if (!middleware) {
+                return finalHandler ? finalHandler(context) : undefined;
             }
 
-            const middleware = this.middlewares[index++];
-            await middleware(initialContext, next);
+            // Calling next() twice would run everything after this middleware twice.
+            // Calling it again after it *failed* is allowed, so a middleware can retry.
+            let state = 'idle';
+            const next = async () => {
+                if (state === 'running' || state === 'done') {
+                    throw new Error(`next() called multiple times in middleware #${index + 1}`);
+                }
+                state = 'running';
+                try {
+                    const result = await dispatch(index + 1);
+                    state = 'done';
+                    return result;
+                } catch (error) {
+                    state = 'failed';
+                    throw error;
+                }
+            };
+
+            return middleware(context, next);
         };
 
         try {
-            await next();
+            return await dispatch(0);
+        } catch (error) {
+            return this.handleError(error, context);
+        }
+    }
+
+    async handleError(error, context) {
+        for (const errorMiddleware of this.errorMiddlewares) {
+            try {
+                return await errorMiddleware(error, context);
+            } catch (nextError) {
+                error = nextError;
+            }
+        }
+        throw error;
+    }
+
+    async execute(initialContext, finalHandler) {
+        try {
+            await this.handle(initialContext, finalHandler);
             return initialContext;
         } catch (error) {
             console.error("Pipeline execution failed:", error);
@@ -672,6 +969,142 @@ class AsyncPipeline {
     }
 }
 
+// Exercise 14 (continued): The pipeline as the interceptor chain for HTTP calls.
+// Every request becomes a context, `{ request, state }`, and the final handler
+// sends `context.request` with an HttpClient (see examples/http-client.js).
+class HttpPipeline {
+    constructor(client = new solutionsHttp.HttpClient()) {
+        this.client = client;
+        this.pipeline = new AsyncPipeline();
+    }
+
+    use(middleware) {
+        this.pipeline.use(middleware);
+        return this;
+    }
+
+    useError(errorMiddleware) {
+        this.pipeline.useError(errorMiddleware);
+        return this;
+    }
+
+    request(path, options = {}) {
+        const context = {
+            request: { ...options, path, method: (options.method || 'GET').toUpperCase(), headers: { ...options.headers } },
+            // Scratch space for middlewares, e.g. timings or whether the cache answered
+            state: {}
+        };
+        return this.pipeline.handle(context, ({ request }) => {
+            const { path: requestPath, ...requestOptions } = request;
+            return this.client.request(requestPath, requestOptions);
+        });
+    }
+
+    get(path, options) {
+        return this.request(path, { ...options, method: 'GET' });
+    }
+
+    post(path, options) {
+        return this.request(path, { ...options, method: 'POST' });
+    }
+}
+
+// Ready-made middlewares for HttpPipeline. Each is a factory, so it can be configured.
+const httpMiddleware = {
+    // Logs every request and how it ended
+    logging({ logger = console } = {}) {
+        return async ({ request }, next) => {
+            const label = `${request.method} ${request.path}`;
+            logger.log(`→ ${label}`);
+            try {
+                const result = await next();
+                logger.log(`← ${label}`);
+                return result;
+            } catch (error) {
+                logger.error(`✗ ${label}: ${error.message}`);
+                throw error;
+            }
+        };
+    },
+
+    // Adds `Authorization: Bearer <token>`; getToken may be async (e.g. refresh a token)
+    authHeader(getToken) {
+        return async ({ request }, next) => {
+            const token = await getToken();
+            if (token) {
+                request.headers.Authorization = `Bearer ${token}`;
+            }
+            return next();
+        };
+    },
+
+    // Answers repeated GET requests from memory, without calling next()
+    cache({ ttl = 60000, store = new Map() } = {}) {
+        return async (context, next) => {
+            const { request } = context;
+            if (request.method !== 'GET') return next();
+
+            const key = `${request.path}?${JSON.stringify(request.query || {})}`;
+            const entry = store.get(key);
+            if (entry && Date.now() - entry.time < ttl) {
+                context.state.cacheHit = true;
+                return entry.data;
+            }
+
+            const data = await next();
+            store.set(key, { data, time: Date.now() });
+            return data;
+        };
+    },
+
+    // Retries the rest of the chain with retryWithBackoff (Exercise 12).
+    // By default only network errors, timeouts and 429/5xx responses are retried.
+    retry({ retries = 2, initialDelay = 300, retryCondition, ...options } = {}) {
+        const isRetryable = error => error instanceof solutionsHttp.NetworkError ||
+            (error instanceof solutionsHttp.HttpError && (error.status === 429 || error.status >= 500));
+        return (context, next) => retryWithBackoff(() => next(), {
+            maxRetries: retries + 1,
+            initialDelay,
+            retryCondition: retryCondition || isRetryable,
+            // Aborting the request also stops the waits between attempts
+            signal: context.request.signal,
+            ...options
+        });
+    },
+
+    // Sends requests through a CircuitBreaker (examples/circuit-breaker.js). While it is
+    // open, they fail fast with a CircuitOpenError and the rest of the chain is skipped.
+    // Add it after retry(), so every attempt counts and an open circuit ends the retries.
+    // As in HttpClient, client errors such as a 404 don't count as failures.
+    circuitBreaker(breaker) {
+        return (context, next) => breaker.execute(() => next(), {
+            signal: context.request.signal,
+            isFailure: error => !solutionsHttp.isClientError(error) && breaker.isFailure(error)
+        });
+    },
+
+    // Waits for a slot from a RateLimiter (Exercise 8) before sending.
+    // Each path is limited separately; the limiter's `keys` option can give some paths their own limit.
+    rateLimit(limiter, { key = request => request.path } = {}) {
+        return async (context, next) => {
+            await limiter.acquire(key(context.request), { signal: context.request.signal });
+            return next();
+        };
+    },
+
+    // Records how long the rest of the chain took, in context.state.duration (ms)
+    timing() {
+        return async (context, next) => {
+            const start = performance.now();
+            try {
+                return await next();
+            } finally {
+                context.state.duration = Math.round(performance.now() - start);
+            }
+        };
+    }
+};
+
 // Exercise 15: Memory-Efficient Async Stream Processor
 class AsyncStreamProcessor {
     constructor(source, batchSize = 100) {
@@ -762,6 +1195,26 @@ async function demonstrateAdvancedSolutions() {
     const results = await pool.executeAll(tasks);
     console.log("Pool results:", results);
 
+    // Exercise 11 (continued): the TaskScheduler behind the pool and the queues
+    console.log("\n11b. Task Scheduler Demo:");
+    const scheduler = new solutionsScheduling.TaskScheduler({ concurrency: 2, paused: true });
+    scheduler.on('started', ({ task }) => console.log(`Task ${task.id} started (priority ${task.priority})`));
+    scheduler.on('failed', ({ task, error }) => console.log(`Task ${task.id} failed: ${error.message}`));
+    scheduler.on('cancelled', ({ task }) => console.log(`Task ${task.id} cancelled`));
+
+    // Added while paused, so they start in priority order once resumed
+    scheduler.run(slowTask('low', 300), { priority: 'low' });
+    scheduler.run(slowTask('normal', 300));
+    scheduler.run(slowTask('high', 300), { priority: 'high' });
+    scheduler.run(slowTask('too slow', 1000), { timeout: 200 }).catch(() => {});
+    const unwanted = scheduler.schedule(slowTask('unwanted', 300));
+    unwanted.promise.catch(error => console.log("Unwanted task:", error.name));
+    unwanted.cancel();
+
+    scheduler.resume();
+    await scheduler.onIdle();
+    console.log("Scheduler is idle");
+
     // Exercise 14: Middleware Pipeline
     console.log("\n14. Middleware Pipeline Demo:");
     const pipeline = new AsyncPipeline();
@@ -786,9 +1239,77 @@ async function demonstrateAdvancedSolutions() {
 
     const result = await pipeline.execute({ data: "initial" });
     console.log("Pipeline result:", result);
+
+    // Exercise 14 (continued): the pipeline as HTTP interceptors.
+    // A fake fetch stands in for a server, so the demo runs offline.
+    console.log("\n14b. HTTP Middleware Demo:");
+    let calls = 0;
+    const fakeFetch = async (url, init) => {
+        calls++;
+        if (calls === 1) return new Response('Busy', { status: 503 });
+        return Response.json({ url, auth: init.headers.Authorization });
+    };
+    const api = new HttpPipeline(new solutionsHttp.HttpClient({ baseUrl: 'https://api.example.com/', fetch: fakeFetch }))
+        .use(httpMiddleware.timing())
+        .use(httpMiddleware.logging())
+        .use(httpMiddleware.cache({ ttl: 5000 }))
+        .use(httpMiddleware.authHeader(async () => 'secret-token'))
+        .use(httpMiddleware.retry({ retries: 2, initialDelay: 100 }))
+        .useError(error => {
+            // Treat "not found" as an empty result instead of a failure
+            if (error instanceof solutionsHttp.HttpError && error.status === 404) return null;
+            throw error;
+        });
+
+    console.log("First call (503, then retried):", await api.get('users/1'));
+    console.log("Second call (from the cache):", await api.get('users/1'));
+    console.log("fetch was called", calls, "times");
+
+    // Exercise 12 + 14: a circuit breaker in front of a server that is down
+    console.log("\n14c. Circuit Breaker Demo:");
+    let downCalls = 0;
+    const downFetch = async () => {
+        downCalls++;
+        return new Response('Unavailable', { status: 503 });
+    };
+    const breaker = new circuits.CircuitBreaker({ name: 'status-api', minimumRequests: 3, cooldown: 1000 });
+    breaker.on('state-change', ({ from, to }) => console.log(`Circuit: ${from} → ${to}`));
+    const statusApi = new HttpPipeline(new solutionsHttp.HttpClient({ baseUrl: 'https://status.example.com/', fetch: downFetch }))
+        .use(httpMiddleware.retry({ retries: 4, initialDelay: 50 }))
+        .use(httpMiddleware.circuitBreaker(breaker));
+
+    // Three failed attempts open the circuit; the retries stop there
+    await statusApi.get('health').catch(error => console.log("First call:", error.message));
+    // Fails right away, without a request
+    await statusApi.get('health').catch(error => console.log("Second call:", error.message));
+    console.log("fetch was called", downCalls, "times");
+
+    // With a fallback, callers get a default answer while the circuit is open
+    const status = await breaker.execute(() => statusApi.get('health'), { fallback: () => ({ status: 'unknown' }) });
+    console.log("With a fallback:", status);
 }
 
 // Uncomment to run demonstrations:
 // demonstrateBasicSolutions();
 // setTimeout(() => demonstrateIntermediateSolutions(), 3000);
 // setTimeout(() => demonstrateAdvancedSolutions(), 6000);
+
+// Export the solutions for use in other files (e.g. promises-aplus-adapter.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        robustApiCall,
+        fetchMultipleUsers,
+        SimplePromise,
+        PaginatedDataFetcher,
+        RateLimiter,
+        PriorityAsyncQueue,
+        withTimeout,
+        AsyncPool,
+        retryWithBackoff,
+        AsyncStateMachine,
+        AsyncPipeline,
+        HttpPipeline,
+        httpMiddleware,
+        AsyncStreamProcessor
+    };
+}
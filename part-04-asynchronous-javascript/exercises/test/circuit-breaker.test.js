@@ -0,0 +1,85 @@
+/**
+ * Tests for the CircuitBreaker (examples/circuit-breaker.js). They use a short
+ * cool-down and wait it out.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker, CircuitOpenError } = require('../../examples/circuit-breaker.js');
+
+const COOLDOWN = 20;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const fail = () => Promise.reject(new Error('down'));
+const succeed = () => Promise.resolve('ok');
+
+// A breaker that one failure opens
+async function openBreaker(options = {}) {
+    const breaker = new CircuitBreaker({ minimumRequests: 1, cooldown: COOLDOWN, ...options });
+    await assert.rejects(breaker.execute(fail), /down/);
+    assert.equal(breaker.state, 'open');
+    return breaker;
+}
+
+test('opens on failures, fails fast, and closes after a successful trial', async () => {
+    const breaker = await openBreaker();
+    const changes = [];
+    breaker.on('state-change', ({ from, to }) => changes.push(`${from} → ${to}`));
+
+    let called = false;
+    await assert.rejects(breaker.execute(async () => { called = true; }), CircuitOpenError);
+    assert.equal(called, false);
+
+    await wait(COOLDOWN + 5);
+    assert.equal(await breaker.execute(succeed), 'ok');
+    assert.deepEqual(changes, ['open → half-open', 'half-open → closed']);
+});
+
+test('a failed trial opens the circuit again', async () => {
+    const breaker = await openBreaker();
+    await wait(COOLDOWN + 5);
+
+    await assert.rejects(breaker.execute(fail), /down/);
+    assert.equal(breaker.state, 'open');
+});
+
+test('a trial that never settles gives up its slot after another cool-down', async () => {
+    const breaker = await openBreaker();
+    await wait(COOLDOWN + 5);
+
+    // A call that only settles when the test says so
+    const pending = () => {
+        let settle;
+        const promise = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+        return { operation: () => promise, settle };
+    };
+
+    const hung = pending();
+    const hungResult = breaker.execute(hung.operation);
+    await assert.rejects(breaker.execute(succeed), CircuitOpenError);
+
+    await wait(COOLDOWN + 5);
+    const next = pending();
+    const nextResult = breaker.execute(next.operation);
+    assert.equal(breaker.state, 'half-open');
+
+    // When the abandoned trial fails at last, it no longer decides anything...
+    hung.settle.reject(new Error('late'));
+    await assert.rejects(hungResult, /late/);
+    assert.equal(breaker.state, 'half-open');
+
+    // ...the new one does
+    next.settle.resolve('ok');
+    assert.equal(await nextResult, 'ok');
+    assert.equal(breaker.state, 'closed');
+});
+
+test('a cancelled trial gives its slot back', async () => {
+    const breaker = await openBreaker();
+    await wait(COOLDOWN + 5);
+
+    const abort = () => Promise.reject(Object.assign(new Error('cancelled'), { name: 'AbortError' }));
+    await assert.rejects(breaker.execute(abort), /cancelled/);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(await breaker.execute(succeed), 'ok');
+    assert.equal(breaker.state, 'closed');
+});
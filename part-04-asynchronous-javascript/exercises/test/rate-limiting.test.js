@@ -0,0 +1,73 @@
+/**
+ * Tests for the four rate limiting strategies (examples/rate-limiting.js).
+ * Each one is given the time explicitly, so nothing here waits.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    TokenBucket,
+    LeakyBucket,
+    FixedWindow,
+    SlidingLog,
+    createRateLimitStrategy
+} = require('../../examples/rate-limiting.js');
+
+// Whether each call at the given times was let through
+const allowedAt = (strategy, times) => times.map(now => strategy.tryAcquire(now).allowed);
+
+test('token bucket: allows a burst, then refills continuously', () => {
+    const bucket = new TokenBucket({ limit: 2, interval: 1000 });
+
+    assert.deepEqual(bucket.tryAcquire(0), { allowed: true, remaining: 1, retryAfter: 0 });
+    assert.deepEqual(bucket.tryAcquire(0), { allowed: true, remaining: 0, retryAfter: 0 });
+    assert.deepEqual(bucket.tryAcquire(0), { allowed: false, remaining: 0, retryAfter: 500 });
+    assert.equal(bucket.tryAcquire(500).allowed, true);
+    assert.equal(bucket.tryAcquire(600).allowed, false);
+
+    // A long pause refills no more than the capacity
+    assert.deepEqual(allowedAt(bucket, [10000, 10000, 10000]), [true, true, false]);
+    assert.equal(bucket.tryAcquire(20000, 3).retryAfter, Infinity);
+});
+
+test('leaky bucket: spaces requests evenly, or holds `capacity` at once', () => {
+    const spaced = new LeakyBucket({ limit: 1, interval: 100 });
+    assert.deepEqual(allowedAt(spaced, [0, 0, 50]), [true, false, false]);
+    assert.equal(spaced.tryAcquire(50).retryAfter, 50);
+    assert.equal(spaced.tryAcquire(100).allowed, true);
+
+    const roomy = new LeakyBucket({ limit: 1, interval: 100, capacity: 3 });
+    assert.deepEqual(allowedAt(roomy, [0, 0, 0, 0, 100]), [true, true, true, false, true]);
+    assert.equal(roomy.tryAcquire(100, 4).retryAfter, Infinity);
+});
+
+test('fixed window: counts per window, and resets on the boundary', () => {
+    const window = new FixedWindow({ limit: 2, interval: 1000 });
+
+    assert.deepEqual(allowedAt(window, [900, 950]), [true, true]);
+    assert.deepEqual(window.tryAcquire(990), { allowed: false, remaining: 0, retryAfter: 10 });
+    // The next window starts empty, so four requests get through within 100 ms
+    assert.deepEqual(allowedAt(window, [1000, 1000, 1000]), [true, true, false]);
+});
+
+test('sliding log: allows at most `limit` in any interval', () => {
+    const log = new SlidingLog({ limit: 2, interval: 1000 });
+
+    assert.deepEqual(allowedAt(log, [900, 950]), [true, true]);
+    // Unlike the fixed window, crossing the second boundary doesn't help...
+    assert.deepEqual(log.tryAcquire(1000), { allowed: false, remaining: 0, retryAfter: 900 });
+    // ...only the oldest request leaving the window does
+    assert.equal(log.tryAcquire(1900).allowed, true);
+    assert.deepEqual(log.tryAcquire(1900, 2), { allowed: false, remaining: 0, retryAfter: 1000 });
+    assert.equal(log.tryAcquire(1900, 3).retryAfter, Infinity);
+});
+
+test('createRateLimitStrategy picks a strategy and checks its options', () => {
+    assert.ok(createRateLimitStrategy({ limit: 1, interval: 1 }) instanceof SlidingLog);
+    assert.ok(createRateLimitStrategy({ strategy: 'token-bucket', limit: 1, interval: 1 }) instanceof TokenBucket);
+    assert.ok(createRateLimitStrategy({ strategy: FixedWindow, limit: 1, interval: 1 }) instanceof FixedWindow);
+
+    assert.throws(() => createRateLimitStrategy({ strategy: 'queue', limit: 1, interval: 1 }), /Unknown rate limit strategy/);
+    assert.throws(() => createRateLimitStrategy({ limit: 0, interval: 1000 }), RangeError);
+    assert.throws(() => createRateLimitStrategy({ limit: 5 }), RangeError);
+});
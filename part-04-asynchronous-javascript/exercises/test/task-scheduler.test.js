@@ -0,0 +1,94 @@
+/**
+ * Tests for the TaskScheduler and its PriorityHeap (examples/task-scheduler.js).
+ * Run them with `npm test` from the exercises folder.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskScheduler, PriorityHeap, TaskCancelledError, TaskTimeoutError } = require('../../examples/task-scheduler.js');
+
+// A heap entry, shaped like the scheduler's tasks
+const entry = (priority, sequence) => ({ priority, sequence, heapIndex: -1 });
+
+function drain(heap) {
+    const order = [];
+    while (heap.size > 0) order.push(heap.pop());
+    return order;
+}
+
+test('the heap hands out the highest priority first, ties in the order added', () => {
+    const heap = new PriorityHeap();
+    const entries = [entry(0, 1), entry(2, 2), entry(-1, 3), entry(2, 4), entry(0, 5)];
+    entries.forEach(item => heap.push(item));
+
+    assert.deepEqual(drain(heap).map(item => item.sequence), [2, 4, 1, 5, 3]);
+    assert.equal(heap.pop(), undefined);
+});
+
+test('the heap stays in order with many entries and removals from the middle', () => {
+    const heap = new PriorityHeap();
+    const entries = Array.from({ length: 200 }, (_, i) => entry((i * 37) % 11, i));
+    entries.forEach(item => heap.push(item));
+
+    const removed = entries.filter((_, i) => i % 3 === 0);
+    removed.forEach(item => assert.equal(heap.remove(item), true));
+    assert.equal(heap.remove(removed[0]), false);
+    assert.equal(removed[0].heapIndex, -1);
+
+    const expected = entries
+        .filter((_, i) => i % 3 !== 0)
+        .sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+    assert.deepEqual(drain(heap), expected);
+});
+
+test('the scheduler starts waiting tasks by priority', async () => {
+    const scheduler = new TaskScheduler({ concurrency: 1, paused: true });
+    const started = [];
+    const task = name => () => { started.push(name); };
+
+    scheduler.schedule(task('low'), { priority: 'low' });
+    scheduler.schedule(task('normal'));
+    scheduler.schedule(task('high'), { priority: 'high' });
+    scheduler.schedule(task('urgent'), { priority: 5 });
+    scheduler.resume();
+    await scheduler.onIdle();
+
+    assert.deepEqual(started, ['urgent', 'high', 'normal', 'low']);
+});
+
+test('no more tasks run at once than the concurrency limit', async () => {
+    const scheduler = new TaskScheduler({ concurrency: 2 });
+    let running = 0;
+    let most = 0;
+    const task = async () => {
+        most = Math.max(most, ++running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+    };
+
+    await scheduler.runAll([task, task, task, task, task]);
+    assert.equal(most, 2);
+});
+
+test('a cancelled waiting task never starts and rejects with a TaskCancelledError', async () => {
+    const scheduler = new TaskScheduler({ concurrency: 1, paused: true });
+    let ran = false;
+    const task = scheduler.schedule(() => { ran = true; });
+
+    assert.equal(task.cancel(), true);
+    await assert.rejects(task.promise, TaskCancelledError);
+    scheduler.resume();
+    await scheduler.onIdle();
+
+    assert.equal(ran, false);
+    assert.equal(scheduler.size, 0);
+});
+
+test('a task that takes too long rejects with a TaskTimeoutError and frees its slot', async () => {
+    const scheduler = new TaskScheduler({ concurrency: 1, timeout: 10 });
+    const slow = scheduler.run(({ signal }) => new Promise(resolve => signal.addEventListener('abort', resolve)));
+    const next = scheduler.run(() => 'next');
+
+    await assert.rejects(slow, TaskTimeoutError);
+    assert.equal(await next, 'next');
+});